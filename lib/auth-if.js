@@ -0,0 +1,264 @@
+'use strict'
+/**
+ * @name Auth-if.js
+ * @version 1.0.0
+ * @author Karl Moad <github.com/karlmoad>
+ *
+ *  Declarative permission gated content. The auth-if element shows its content only while the signed in user
+ *  holds the authorization context and permission it names, elements carrying a data-auth-require attribute are
+ *  shown or hidden the same way once processed by AuthRequire. Both re-evaluate on login, renewal, expiration and
+ *  logout. Requires auth.js, and Polymer for the auth-if element, to be loaded ahead of it.
+ *
+ *  <auth-if context="billing" permission="write"><button>Edit invoice</button></auth-if>
+ *  <button data-auth-require="billing:write admin">Edit invoice</button>
+ *
+ *  @summary show or hide content by the authorization contexts and permissions granted to the user
+ */
+
+/**
+ * @class AuthRequire
+ */
+var AuthRequire = (function(){
+
+    var ATTRIBUTE = 'data-auth-require';
+
+    /**
+     * Context events after which the granted contexts may have changed
+     * @param {AuthContext} context
+     * @returns {String[]}
+     * @private
+     */
+    var changeEvents = function(context){
+        return [context.EVENTS.TOKEN_ACQUIRED, context.EVENTS.TOKEN_RENEWED, context.EVENTS.TOKEN_EXPIRED,
+            context.EVENTS.LOGGED_OUT];
+    };
+
+    AuthRequire = {
+
+        /**
+         * Determines if the signed in user meets a requirement, signing in alone meets an empty requirement
+         * @param {AuthContext} context - authentication context
+         * @param {string} [requirement] - space separated authorization contexts the user must all be granted,
+         * each optionally followed by ':' and a permission required within it e.g. 'billing:write reports'
+         * @returns {boolean}
+         */
+        isGranted: function(context, requirement){
+            if(!context || context.isTokenExpired()){
+                return false;
+            }
+
+            return (requirement || '').split(/\s+/).every(function(grant){
+                if(grant.length == 0){
+                    return true;
+                }
+
+                var separator = grant.indexOf(':');
+                return separator < 0 ? context.hasContext(grant)
+                    : context.hasPermission(grant.substring(0, separator), grant.substring(separator + 1));
+            });
+        },
+
+        /**
+         * Shows or hides every element carrying a data-auth-require attribute, the root included
+         * @param {Element|Document} root - subtree to process
+         * @param {AuthContext} [context] - authentication context, defaults to the default context
+         */
+        process: function(root, context){
+            context = context || AuthContext.get();
+            var elements = Array.prototype.slice.call(root.querySelectorAll('[' + ATTRIBUTE + ']'));
+            if(root.hasAttribute && root.hasAttribute(ATTRIBUTE)){
+                elements.unshift(root);
+            }
+
+            elements.forEach(function(element){
+                element.hidden = !AuthRequire.isGranted(context, element.getAttribute(ATTRIBUTE));
+            });
+        },
+
+        /**
+         * Processes a subtree and keeps it processed, re-evaluating on login, renewal, expiration and logout and
+         * processing elements as they are added where MutationObserver is supported. Without a context the
+         * subtree stays hidden until the default context is built.
+         * @param {Element|Document} root - subtree to process
+         * @param {AuthContext} [context] - authentication context, defaults to the default context
+         * @returns {function} stops observing the subtree
+         */
+        observe: function(root, context){
+            var events = [];
+            var update = function(){
+                AuthRequire.process(root, context);
+            };
+            var subscribe = function(created){
+                context = created;
+                events = changeEvents(context);
+                events.forEach(function(event){
+                    context.on(event, update);
+                });
+                update();
+            };
+
+            var cancel = function(){};
+            if(context){
+                subscribe(context);
+            }else{
+                cancel = AuthContext.whenCreated(null, subscribe);
+                if(!context){
+                    update();
+                }
+            }
+
+            var observer = null;
+            if(typeof MutationObserver !== 'undefined'){
+                observer = new MutationObserver(function(mutations){
+                    mutations.forEach(function(mutation){
+                        Array.prototype.forEach.call(mutation.addedNodes, function(node){
+                            if(node.nodeType === 1){
+                                AuthRequire.process(node, context);
+                            }
+                        });
+                    });
+                });
+                observer.observe(root, {childList: true, subtree: true});
+            }
+
+            return function(){
+                cancel();
+                events.forEach(function(event){
+                    context.off(event, update);
+                });
+                if(observer){
+                    observer.disconnect();
+                }
+            };
+        }
+    };
+
+    /**
+     * The auth-if element, hidden unless the signed in user holds the named authorization context and permission
+     * @class AuthIfElement
+     */
+    if (typeof Polymer === 'function') {
+        Polymer({
+            is: 'auth-if',
+
+            properties: {
+                /**
+                 * Authorization context the user must be granted, signing in alone suffices when not set
+                 */
+                context: {
+                    type: String,
+                    value: null
+                },
+
+                /**
+                 * Permission the user must be granted within the authorization context
+                 */
+                permission: {
+                    type: String,
+                    value: null
+                },
+
+                /**
+                 * Authentication context consulted, defaults to the context registered under authContextName
+                 */
+                authContext: {
+                    type: Object,
+                    value: null
+                },
+
+                /**
+                 * Name of the authentication context within the AuthContext registry, defaults to the default context
+                 */
+                authContextName: {
+                    type: String,
+                    value: null
+                },
+
+                /**
+                 * Indicates the user meets the requirement and the content is shown
+                 */
+                granted: {
+                    type: Boolean,
+                    value: false,
+                    readOnly: true,
+                    notify: true
+                }
+            },
+
+            observers: [
+                '_evaluate(context, permission, authContext)'
+            ],
+
+            attached: function(){
+                var self = this;
+                this._update = this._evaluate.bind(this);
+                this._events = [];
+
+                //the context may be built after this element is attached, e.g. by an azure-auth element further on
+                if(this.authContext){
+                    this._subscribe(this.authContext);
+                }else{
+                    this._cancelWait = AuthContext.whenCreated(this.authContextName, function(context){
+                        self._cancelWait = null;
+                        self.authContext = context;
+                        self._subscribe(context);
+                    });
+                }
+                this._evaluate();
+            },
+
+            detached: function(){
+                if(this._cancelWait){
+                    this._cancelWait();
+                    this._cancelWait = null;
+                }
+                this._events.forEach(function(event){
+                    this.authContext.off(event, this._update);
+                }, this);
+                this._events = [];
+            },
+
+            /**
+             * Re-evaluates on the lifecycle events of the context
+             * @param {AuthContext} context
+             * @private
+             */
+            _subscribe: function(context){
+                this._events = changeEvents(context);
+                this._events.forEach(function(event){
+                    context.on(event, this._update);
+                }, this);
+
+                var ready = context.ready();
+                if(ready){
+                    ready.then(this._update);
+                }
+            },
+
+            /**
+             * Shows or hides the content by the requirement
+             * @private
+             */
+            _evaluate: function(){
+                var requirement = this.context ? this.context + (this.permission ? ':' + this.permission : '') : '';
+                var granted = AuthRequire.isGranted(this.authContext, requirement);
+                this._setGranted(granted);
+                this.hidden = !granted;
+            }
+        });
+    }
+
+
+    /**
+     * Enabling library to be utilized within a require statement by node.js
+     * by establishing module loader tie in
+     */
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AuthRequire;
+    }
+
+    /**
+     * return the attribute processor
+     */
+    return AuthRequire;
+}());
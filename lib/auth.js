@@ -7,43 +7,639 @@
  *  A javascript class library that encapsulates the implementation of Single Page Application
  *  Authentication and Authorization processes with Active Directory and authorization sources.  Azure
  *  Active Directory is configured to include an application for use by this library.  Client application
- *  first authenticates to the Azure endpoint utilizing the OAuth Implicit Grant/FLow then submits the resulting
- *  token from the Azure results to the defined authorization service for a final authorization token. The Authorization
- *  token will be retained in browser storage for later use
+ *  first authenticates to the Azure endpoint utilizing either the OAuth Implicit Grant/Flow or the Authorization Code
+ *  Grant/Flow with PKCE then submits the resulting token from the Azure results to the defined authorization service
+ *  for a final authorization token. The Authorization token will be retained in browser storage for later use
  *
  *  @summary use Azure Active Directory to get an authentication token and exchange it for an authorization token from the defined service
  */
 
 /**
  * @callback authorizeCallback
- * @param {string} error - contains error description if error state, null if no error present
+ * @param {AuthError} error - contains the error if error state, null if no error present
  * @param {string} token - authorization token resulting from renew or login request, null if error
  */
 
+/**
+ * @callback eventListener
+ * @param {object} event - event payload
+ * @param {string} event.type - name of the event
+ * @param {string} event.token - authorization token, null if none is held
+ * @param {number} event.expiresAt - token expiration in seconds since the epoch, null if no token is held
+ * @param {object} event.user - user object returned by the authorization service, null if no token is held
+ * @param {AuthError} [event.error] - authorizationFailed only, the error reported
+ */
+
+/**
+ * Storage adapter interface used to persist context state, see cacheLocation. Adapters implementing load are
+ * asynchronous, their entries are loaded into memory when the context is created, reads are served from memory
+ * and writes are passed through to the adapter.
+ *  @class storageAdapter
+ *  @property {function} getItem - (key) returns the stored string value, null if not present
+ *  @property {function} setItem - (key, value) stores a string value
+ *  @property {function} removeItem - (key) removes a stored value
+ *  @property {function} [load] - () returns a Promise resolving to an object holding every stored key and value
+ */
+
+/**
+ * HTTP transport interface used for every request to the authorization service and azure, see transport.
+ *  @class transport
+ *  @property {function} send - (request, callback) issues the request, request holds method, url, headers,
+ *  body and timeout (milliseconds, 0 for none), callback receives an Error on network failure or timeout,
+ *  otherwise null and a response holding status, statusText and body
+ */
+
 /**
  * Configuration options for Authentication Context.
  *  @class configuration
- *  @property {string} azureTenant - target tenant.
+ *  @property {string} azureTenant - target tenant, a tenant id or domain name, or one of the multi-tenant authorities 'common', 'organizations' or 'consumers'.
  *  @property {string} azureAppID - Application ID assigned to your app by Azure Active Directory.
  *  @property {string} azureLoginRedirectUri - Endpoint at which you expect to receive tokens.Defaults to `window.location.href`.
  *  @property {string} azureInstance - Azure Active Directory Instance.Defaults to `https://login.microsoftonline.com/`.
  *  @property {string} authorizationServiceLoginUri - Endpoint to which the azure provided authentication token will be sent to acquire an authorization token
  *  @property {string} authorizationServiceRenewUri - Endpoint to which the azure provided authentication token will be sent to renew an authorization token
  *  @property {String[]} authorizationContexts - authorization contextual permission to load into the authorization token.
- *  @property {string} cacheLocation - Sets browser storage to either 'localStorage' or sessionStorage'. Defaults to 'sessionStorage'.
+ *  @property {object} [responseMapping] - Dot separated paths of the authorization service response fields, any path left out keeps its default.
+ *  @property {string} [responseMapping.token] - authorization token. Defaults to 'token'.
+ *  @property {string} [responseMapping.expiresAt] - token expiration in seconds since the epoch, read from the exp claim of the token when absent from the response. Defaults to 'user.exp'.
+ *  @property {string} [responseMapping.user] - user object. Defaults to 'user'.
+ *  @property {string} [responseMapping.refreshToken] - refresh token, sent along with renew requests. Defaults to 'refresh_token'.
+ *  @property {object} [permissionClaims] - Dot separated paths within the user object read by the permission queries, any path left out keeps its default.
+ *  @property {string} [permissionClaims.contexts] - granted authorization contexts, either an object of context names to permission arrays, or an array of context names or of objects holding name and permissions. Defaults to 'contexts'.
+ *  @property {string} [permissionClaims.roles] - array of granted role names. Defaults to 'roles'.
+ *  @property {string|storageAdapter} cacheLocation - Sets storage to 'localStorage', 'sessionStorage', 'memory', 'cookie' or 'indexedDB', or to a storage adapter object. Defaults to 'localStorage', falling back to cookie storage where Web Storage is not available.
+ *  @property {string} [storagePrefix] - Optional prefix added to the storage namespace, persisted keys are namespaced by storagePrefix, azureAppID and azureTenant so several apps and tenants can share an origin.
+ *  @property {boolean} [encryptStorage] - Encrypt every persisted value with AES-GCM under a non-extractable key kept in IndexedDB, values that fail to decrypt are purged and the user is treated as signed out. Defaults to false.
  *  @property {string} [azureLogoutRedirectUri] - Redirects the user to postLogoutRedirectUri after logout. Defaults is 'redirectUri'.
  *  @property {boolean} [logoutGlobalAzure] - Optional on logout should azure global login additionaly be terminated
+ *  @property {boolean} [restoreLoginRequest] - Once a redirect login completes return the user to the page the login started from, only pages of the same origin are returned to. Defaults to true.
+ *  @property {function} [navigate] - (url) navigates to the page a login started from, defaults to replacing the window location, or only the address bar when the page is the current document.
+ *  @property {string} [flow] - Azure authentication flow, either 'implicit' or 'code' (Authorization Code with PKCE). Defaults to 'implicit'.
+ *  The code flow requires azureEndpointVersion 'v2', the v1 token endpoint cannot be called from the browser.
+ *  @property {string} [azureEndpointVersion] - Azure Active Directory endpoint version, either 'v1' or 'v2' (Microsoft identity platform). Defaults to 'v1'.
+ *  @property {string} [loginMode] - How login presents the azure login page, either 'redirect' or 'popup'. Defaults to 'redirect'.
+ *  @property {boolean} [popupFallbackToRedirect] - When a login popup is blocked by the browser fall back to a redirect login. Defaults to false.
+ *  @property {string} [renewMode] - How renew acquires a new authorization token, either 'service' (re-post the stored authorization token to the renew endpoint) or 'silent' (acquire a fresh azure token through a hidden iframe with prompt=none). Defaults to 'service'.
+ *  @property {string} [azureSilentRedirectUri] - Endpoint loaded within the hidden iframe during silent renew, must be of the same origin. Defaults to 'azureLoginRedirectUri'.
+ *  @property {number} [silentRenewTimeout] - Milliseconds to wait for the hidden iframe to respond during silent renew. Defaults to 10000.
+ *  @property {string|transport} [transport] - HTTP transport, 'xhr' or 'fetch', or a transport object e.g. a mock for tests. Defaults to 'xhr'.
+ *  @property {number} [requestTimeout] - Milliseconds to wait for an HTTP response before the attempt fails, 0 for no timeout. Defaults to 10000.
+ *  @property {number} [requestRetries] - Number of times a request failing with a 5xx status, a network error or a timeout is retried. Defaults to 2.
+ *  @property {number} [requestRetryDelay] - Milliseconds before the first retry of a failed request, doubling with each retry. Defaults to 500.
+ *  @property {boolean} [autoRenew] - Renew the authorization token automatically ahead of its expiration, pausing while the page is hidden. Defaults to false.
+ *  @property {number} [autoRenewOffset] - Seconds before the token expiration at which automatic renewal runs. Defaults to 300.
+ *  @property {number} [autoRenewMaxRetries] - Number of times a failed automatic renewal is retried. Defaults to 3.
+ *  @property {number} [autoRenewRetryDelay] - Seconds before the first retry of a failed automatic renewal, doubling with each retry. Defaults to 5.
+ *  @property {boolean} [syncTabs] - With localStorage, keep the context of every open tab in step with logins, renewals and logouts made in other tabs, only one tab runs automatic renewal. Defaults to true.
+ *  @property {boolean} [validateIdToken] - Validate the aud, iss, tid, exp, nbf and nonce claims of the azure id token before it is sent to the authorization service. Defaults to true.
+ *  @property {number} [clockSkew] - Allowance in seconds for clock differences when validating exp and nbf claims. Defaults to 300.
+ *  @property {string} [azureTenantId] - Tenant id (GUID) expected within the tid claim. When azureTenant is configured as a domain name it defaults to the tenant id looked up from the tenant's OpenID metadata.
+ *  @property {string} [azureIssuer] - Expected iss claim, defaults to the issuer of the configured endpoint version for the token's tenant.
+ *  @property {String[]} [allowedTenants] - Tenant ids accepted within the tid claim of the azure id token, for multi-tenant authorities. Any tenant is accepted when neither allowedTenants nor validateTenant is set.
+ *  @property {function} [validateTenant] - (tenantId, claims) returns true if users of the tenant may sign in, checked after allowedTenants.
+ *  @property {boolean} [validateSignature] - Verify the RS256 signature of the azure id token against the tenant signing keys. Defaults to false.
+ *  @property {string} [jwksUri] - Location of the tenant signing keys, defaults to the discovery keys endpoint of the configured endpoint version.
+ *  @property {object} [jwks] - JSON Web Key Set used in place of the jwksUri, for offline and test use.
+ *  @property {String[]} [scopes] - scopes requested from the v2 endpoint, e.g. openid, profile, offline_access, api://... Defaults to ['openid', 'profile'], 'openid' is always included.
+ *  @property {object} [errorMessages] - User facing messages of azure errors replacing the built-in ones, keyed by AADSTS code e.g. 'AADSTS50105' or by category e.g. 'consent_required', see AADSTS_CATEGORY.
  */
 
 /**
  * @class AuthContext
  */
 var AuthContext = (function(){
+
+    // cross tab leadership is held through a lease renewed on each heartbeat
+    var LEADER_HEARTBEAT_MS = 2000;
+    var LEADER_LEASE_MS = 5000;
+
+    // contexts by name, the default context is the one built through the constructor
+    var DEFAULT_CONTEXT = 'default';
+    var contexts = {};
+    var creating = null;
+
+    // callbacks waiting on a context to be built, by context name
+    var waiting = {};
+
+    // keys persisted un-namespaced by versions before storage namespacing, the only keys ever migrated
+    var LEGACY_STORAGE_KEYS = ['azure.state.login', 'azure.nonce.idtoken', 'azure.login.request', 'azure.error',
+        'azure.error.description', 'user_token', 'user_obj', 'token_exp'];
+
+    // personal microsoft accounts are issued by a single fixed tenant
+    var CONSUMERS_TENANT_ID = '9188040d-6c67-4c5b-b112-36a304b66dad';
+
+    // known AADSTS codes by number, categories and actions are AADSTS_CATEGORY and REMEDIATION values
+    var AADSTS_CATALOG = {
+        '65001': {category: 'consent_required', action: 'relogin_consent',
+            message: 'This application needs your permission to access your account. Sign in again to grant it.'},
+        '65004': {category: 'consent_required', action: 'relogin_consent',
+            message: 'You declined to give this application access to your account. Sign in again to grant it.'},
+        '90094': {category: 'consent_required', action: 'contact_admin',
+            message: 'An administrator of your organization must approve this application before you can use it.'},
+        '50105': {category: 'user_not_assigned', action: 'contact_admin',
+            message: 'Your account has not been given access to this application. Ask your administrator to assign you.'},
+        '50076': {category: 'conditional_access', action: 'relogin',
+            message: 'Your organization requires additional verification. Sign in again to complete it.'},
+        '50079': {category: 'conditional_access', action: 'relogin',
+            message: 'Your organization requires you to set up additional verification. Sign in again to complete it.'},
+        '50158': {category: 'conditional_access', action: 'relogin',
+            message: 'Your organization requires an additional security check. Sign in again to complete it.'},
+        '53000': {category: 'conditional_access', action: 'contact_admin',
+            message: 'Your organization only allows access from compliant devices. Contact your administrator.'},
+        '53001': {category: 'conditional_access', action: 'contact_admin',
+            message: 'Your organization only allows access from domain joined devices. Contact your administrator.'},
+        '53003': {category: 'conditional_access', action: 'contact_admin',
+            message: 'Access has been blocked by your organization\'s policies. Contact your administrator.'},
+        '50020': {category: 'tenant_mismatch', action: 'relogin_select_account',
+            message: 'Your account cannot sign in to this organization. Sign in with a different account.'},
+        '90072': {category: 'tenant_mismatch', action: 'relogin_select_account',
+            message: 'Your account cannot sign in to this organization. Sign in with a different account.'},
+        '700016': {category: 'tenant_mismatch', action: 'contact_admin',
+            message: 'This application is not available in your organization. Contact your administrator.'}
+    };
+    var AADSTS_UNKNOWN = {category: 'unknown', action: 'none',
+        message: 'Sign in could not be completed. Try again later or contact your administrator.'};
+
+    // prompt of the login each remediation action calls for
+    var REMEDIATION_PROMPT = {
+        relogin: 'login',
+        relogin_consent: 'consent',
+        relogin_select_account: 'select_account'
+    };
+
+    /**
+     * Error reported by the authentication context, the code is one of the context error code enums
+     * @class AuthError
+     * @param {string} code - error code
+     * @param {string} [message] - error description, defaults to the code
+     * @param {object} [details]
+     * @param {string} [details.azureError] - error code reported by azure
+     * @param {string} [details.azureErrorDescription] - error description reported by azure
+     * @param {number} [details.status] - HTTP status of the failed request, 0 when no response was received
+     * @param {string} [details.correlationId] - correlation id of the failed request, for support requests
+     * @param {object} [details.aadsts] - description of the AADSTS code within the azure error, see describeError
+     * @constructor
+     */
+    var AuthError = function(code, message, details){
+        details = details || {};
+        this.name = 'AuthError';
+        this.code = code;
+        this.message = message || code;
+        this.azureError = details.azureError || null;
+        this.azureErrorDescription = details.azureErrorDescription || null;
+        this.status = typeof details.status === 'number' ? details.status : null;
+        this.correlationId = details.correlationId || null;
+        this.aadsts = details.aadsts || null;
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, AuthError);
+        } else {
+            this.stack = (new Error(this.message)).stack;
+        }
+    };
+    AuthError.prototype = Object.create(Error.prototype);
+    AuthError.prototype.constructor = AuthError;
+
+    /**
+     * Storage adapter holding values in memory only, nothing survives a reload which keeps tokens out of reach
+     * of scripts reading browser storage
+     * @class MemoryStorage
+     * @implements storageAdapter
+     * @constructor
+     */
+    var MemoryStorage = function(){
+        this._items = {};
+    };
+
+    MemoryStorage.prototype.getItem = function(key){
+        return this._items.hasOwnProperty(key) ? this._items[key] : null;
+    };
+
+    MemoryStorage.prototype.setItem = function(key, value){
+        this._items[key] = String(value);
+    };
+
+    MemoryStorage.prototype.removeItem = function(key){
+        delete this._items[key];
+    };
+
+    /**
+     * Storage adapter holding values in session cookies, for browsers where Web Storage is unavailable or throws
+     * such as Safari private mode. Cookies are limited to around 4KB per value.
+     * @class CookieStorage
+     * @implements storageAdapter
+     * @param {object} [options]
+     * @param {string} [options.path] - cookie path, defaults to '/'
+     * @param {boolean} [options.secure] - restrict cookies to https, defaults to true on https pages
+     * @param {string} [options.sameSite] - cookie SameSite attribute, defaults to 'Strict'
+     * @constructor
+     */
+    var CookieStorage = function(options){
+        options = options || {};
+        this.path = options.path || '/';
+        this.secure = options.hasOwnProperty('secure') ? !!options.secure : window.location.protocol === 'https:';
+        this.sameSite = options.sameSite || 'Strict';
+    };
+
+    CookieStorage.prototype.getItem = function(key){
+        var name = encodeURIComponent(key) + '=';
+        var cookies = document.cookie ? document.cookie.split('; ') : [];
+        for(var i = 0; i < cookies.length; i++){
+            if(cookies[i].indexOf(name) === 0){
+                return decodeURIComponent(cookies[i].substring(name.length));
+            }
+        }
+        return null;
+    };
+
+    CookieStorage.prototype.setItem = function(key, value){
+        this._write(key, encodeURIComponent(String(value)), '');
+    };
+
+    CookieStorage.prototype.removeItem = function(key){
+        this._write(key, '', '; max-age=0');
+    };
+
+    CookieStorage.prototype._write = function(key, value, expiry){
+        document.cookie = encodeURIComponent(key) + '=' + value + expiry + '; path=' + this.path +
+            '; samesite=' + this.sameSite + (this.secure ? '; secure' : '');
+    };
+
+    /**
+     * Asynchronous storage adapter holding values in an IndexedDB object store
+     * @class IndexedDBStorage
+     * @implements storageAdapter
+     * @param {object} [options]
+     * @param {string} [options.databaseName] - database name, defaults to 'azure-auth'
+     * @param {string} [options.storeName] - object store name, defaults to 'storage'
+     * @constructor
+     */
+    var IndexedDBStorage = function(options){
+        options = options || {};
+        this.databaseName = options.databaseName || 'azure-auth';
+        this.storeName = options.storeName || 'storage';
+        this._db = null;
+    };
+
+    IndexedDBStorage.prototype.getItem = function(key){
+        return this._transaction('readonly', function(store){
+            return store.get(key);
+        }).then(function(value){
+            return value === undefined ? null : value;
+        });
+    };
+
+    IndexedDBStorage.prototype.setItem = function(key, value){
+        return this._transaction('readwrite', function(store){
+            return store.put(String(value), key);
+        });
+    };
+
+    IndexedDBStorage.prototype.removeItem = function(key){
+        return this._transaction('readwrite', function(store){
+            return store['delete'](key);
+        });
+    };
+
+    IndexedDBStorage.prototype.load = function(){
+        var entries = {};
+        return this._transaction('readonly', function(store){
+            var request = store.openCursor();
+            request.onsuccess = function(){
+                var cursor = request.result;
+                if(cursor){
+                    entries[cursor.key] = cursor.value;
+                    cursor['continue']();
+                }
+            };
+            return null;
+        }).then(function(){
+            return entries;
+        });
+    };
+
+    IndexedDBStorage.prototype._open = function(){
+        var self = this;
+        if(!this._db){
+            this._db = new Promise(function(resolve, reject){
+                var request = window.indexedDB.open(self.databaseName, 1);
+                request.onupgradeneeded = function(){
+                    request.result.createObjectStore(self.storeName);
+                };
+                request.onsuccess = function(){
+                    resolve(request.result);
+                };
+                request.onerror = function(){
+                    reject(request.error);
+                };
+            });
+        }
+        return this._db;
+    };
+
+    IndexedDBStorage.prototype._transaction = function(mode, action){
+        var self = this;
+        return this._open().then(function(db){
+            return new Promise(function(resolve, reject){
+                var tx = db.transaction(self.storeName, mode);
+                var request = action(tx.objectStore(self.storeName));
+                tx.oncomplete = function(){
+                    resolve(request ? request.result : undefined);
+                };
+                tx.onerror = tx.onabort = function(){
+                    reject(tx.error);
+                };
+            });
+        });
+    };
+
+    /**
+     * Asynchronous storage adapter encrypting values with AES-GCM before passing them to another adapter. The
+     * encryption key is a non-extractable CryptoKey kept in IndexedDB, scripts able to read the storage can not
+     * read the key material. Values that fail to decrypt, having been tampered with or encrypted under another
+     * key, cause every entry to be purged on load.
+     * @param {storageAdapter} storage - adapter holding the encrypted values
+     * @param {string} keyName - name of the encryption key within IndexedDB
+     * @param {String[]} names - keys of the values loaded from storage
+     * @constructor
+     * @private
+     */
+    var EncryptedStorage = function(storage, keyName, names){
+        this.storage = storage;
+        this.keyName = keyName;
+        this.names = names;
+        this._keyStore = new IndexedDBStorage({databaseName: 'azure-auth.keys', storeName: 'keys'});
+        this._key = null;
+        this._queue = Promise.resolve();
+    };
+
+    EncryptedStorage.PREFIX = 'enc:';
+
+    EncryptedStorage.prototype.getItem = function(name){
+        var self = this;
+        return Promise.all([this._cryptoKey(), this.storage.getItem(name)]).then(function(results){
+            return results[1] === null || results[1] === undefined ? null : self._decrypt(results[0], results[1]);
+        });
+    };
+
+    EncryptedStorage.prototype.setItem = function(name, value){
+        var self = this;
+        return this._enqueue(function(){
+            return self._cryptoKey().then(function(key){
+                return self._encrypt(key, String(value));
+            }).then(function(encrypted){
+                return self.storage.setItem(name, encrypted);
+            });
+        });
+    };
+
+    EncryptedStorage.prototype.removeItem = function(name){
+        var self = this;
+        return this._enqueue(function(){
+            return self.storage.removeItem(name);
+        });
+    };
+
+    EncryptedStorage.prototype.load = function(){
+        var self = this;
+        var stored = typeof this.storage.load === 'function' ? this.storage.load() : this._readAll();
+
+        return Promise.all([this._cryptoKey(), stored]).then(function(results){
+            var key = results[0];
+            var entries = {};
+            var names = self.names.filter(function(name){
+                return results[1] && results[1][name] !== null && results[1][name] !== undefined;
+            });
+
+            return Promise.all(names.map(function(name){
+                return self._decrypt(key, results[1][name]).then(function(value){
+                    entries[name] = value;
+                    return true;
+                }, function(){
+                    return false;
+                });
+            })).then(function(decrypted){
+                if(decrypted.indexOf(false) < 0){
+                    return entries;
+                }
+
+                //an entry was tampered with, nothing read from storage can be trusted
+                console.log("Encrypted storage could not be decrypted, purging stored values");
+                return Promise.all(names.map(function(name){
+                    return self.removeItem(name);
+                })).then(function(){
+                    return {};
+                });
+            });
+        });
+    };
+
+    EncryptedStorage.prototype._readAll = function(){
+        var entries = {};
+        for(var i = 0; i < this.names.length; i++){
+            entries[this.names[i]] = this.storage.getItem(this.names[i]);
+        }
+        return entries;
+    };
+
+    EncryptedStorage.prototype._enqueue = function(operation){
+        //writes are applied in order so a slow encryption can not overwrite a later write or removal
+        var result = this._queue.then(operation);
+        this._queue = result.then(null, function(){});
+        return result;
+    };
+
+    EncryptedStorage.prototype._cryptoKey = function(){
+        var self = this;
+        var read = function(){
+            return self._keyStore._transaction('readonly', function(store){
+                return store.get(self.keyName);
+            });
+        };
+
+        if(!this._key){
+            this._key = read().then(function(key){
+                if(key){
+                    return key;
+                }
+
+                return window.crypto.subtle.generateKey({name: 'AES-GCM', length: 256}, false, ['encrypt', 'decrypt']).then(function(generated){
+                    //another tab may have added its key first, in which case that key is used
+                    return self._keyStore._transaction('readwrite', function(store){
+                        return store.add(generated, self.keyName);
+                    }).then(function(){
+                        return generated;
+                    }, read);
+                });
+            });
+        }
+        return this._key;
+    };
+
+    EncryptedStorage.prototype._encrypt = function(key, value){
+        var iv = window.crypto.getRandomValues(new Uint8Array(12));
+        return window.crypto.subtle.encrypt({name: 'AES-GCM', iv: iv}, key, new TextEncoder().encode(value)).then(function(encrypted){
+            var bytes = new Uint8Array(iv.length + encrypted.byteLength);
+            bytes.set(iv, 0);
+            bytes.set(new Uint8Array(encrypted), iv.length);
+
+            var binary = '';
+            for(var i = 0; i < bytes.length; i++){
+                binary += String.fromCharCode(bytes[i]);
+            }
+            return EncryptedStorage.PREFIX + window.btoa(binary);
+        });
+    };
+
+    EncryptedStorage.prototype._decrypt = function(key, value){
+        if(typeof value !== 'string' || value.indexOf(EncryptedStorage.PREFIX) !== 0){
+            return Promise.reject(new Error('value is not encrypted'));
+        }
+
+        var binary = window.atob(value.substring(EncryptedStorage.PREFIX.length));
+        var bytes = new Uint8Array(binary.length);
+        for(var i = 0; i < binary.length; i++){
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        return window.crypto.subtle.decrypt({name: 'AES-GCM', iv: bytes.subarray(0, 12)}, key, bytes.subarray(12)).then(function(decrypted){
+            return new TextDecoder().decode(decrypted);
+        });
+    };
+
+    /**
+     * Transport issuing requests through XMLHttpRequest
+     * @class XhrTransport
+     * @implements transport
+     * @constructor
+     */
+    var XhrTransport = function(){};
+
+    XhrTransport.prototype.send = function(request, callback){
+        var xhr = new XMLHttpRequest();
+        var done = false;
+        var finish = function(error, response){
+            if(!done){
+                done = true;
+                callback(error, response);
+            }
+        };
+
+        xhr.onload = function(){
+            finish(null, {status: xhr.status, statusText: xhr.statusText, body: xhr.responseText});
+        };
+        xhr.onerror = xhr.onabort = function(){
+            finish(new Error("Network error"), null);
+        };
+        xhr.ontimeout = function(){
+            finish(new Error("Request timed out after " + request.timeout + "ms"), null);
+        };
+
+        xhr.open(request.method, request.url, true);
+        xhr.timeout = request.timeout || 0;
+        for(var name in request.headers){
+            if(request.headers.hasOwnProperty(name)){
+                xhr.setRequestHeader(name, request.headers[name]);
+            }
+        }
+        xhr.send(request.body);
+    };
+
+    /**
+     * Transport issuing requests through fetch, timed out requests are aborted where AbortController is supported
+     * @class FetchTransport
+     * @implements transport
+     * @constructor
+     */
+    var FetchTransport = function(){};
+
+    FetchTransport.prototype.send = function(request, callback){
+        var controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        var timer = null;
+        var done = false;
+        var finish = function(error, response){
+            clearTimeout(timer);
+            if(!done){
+                done = true;
+                callback(error, response);
+            }
+        };
+
+        if(request.timeout){
+            timer = setTimeout(function(){
+                finish(new Error("Request timed out after " + request.timeout + "ms"), null);
+                if(controller){
+                    controller.abort();
+                }
+            }, request.timeout);
+        }
+
+        window.fetch(request.url, {
+            method: request.method,
+            headers: request.headers,
+            body: request.body,
+            signal: controller ? controller.signal : undefined
+        }).then(function(response){
+            return response.text().then(function(body){
+                finish(null, {status: response.status, statusText: response.statusText, body: body});
+            });
+        }).then(null, function(e){
+            finish(new Error("Network error, " + e), null);
+        });
+    };
+
+    /**
+     * Synchronous in memory view over an asynchronous storage adapter, reads are served from memory once the
+     * adapter entries are loaded and writes are passed through to the adapter
+     * @param {storageAdapter} adapter - adapter implementing load
+     * @constructor
+     * @private
+     */
+    var StorageMirror = function(adapter){
+        this.adapter = adapter;
+        this._items = {};
+        this._pending = Promise.resolve();
+    };
+
+    StorageMirror.prototype.load = function(){
+        var self = this;
+        return Promise.resolve(this.adapter.load()).then(function(entries){
+            self._items = entries || {};
+        });
+    };
+
+    StorageMirror.prototype.getItem = function(key){
+        return this._items.hasOwnProperty(key) ? this._items[key] : null;
+    };
+
+    StorageMirror.prototype.setItem = function(key, value){
+        this._items[key] = String(value);
+        this._persist(this.adapter.setItem(key, String(value)));
+    };
+
+    StorageMirror.prototype.removeItem = function(key){
+        delete this._items[key];
+        this._persist(this.adapter.removeItem(key));
+    };
+
+    StorageMirror.prototype.flush = function(){
+        return this._pending;
+    };
+
+    StorageMirror.prototype._persist = function(result){
+        if(result && typeof result.then === 'function'){
+            var written = result.then(null, function(e){
+                console.log("Storage write failed, %s", e);
+            });
+            this._pending = Promise.all([this._pending, written]);
+        }
+    };
     
     /**
      * Initializes an auth context with the specified configuration attributes
      * if config is null context will attempt to load from storage,
-     * otherwise default values will be utilized
+     * otherwise default values will be utilized.
+     * The constructor builds the default context and returns it on later calls, use AuthContext.create for
+     * additional named contexts
      * @param {configuration} config - settings to be utilized with this instance
      * @constructor
      */
@@ -55,10 +651,146 @@ var AuthContext = (function(){
          */
         this.REQUEST_TYPE = {
             LOGIN: 'LOGIN',
+            LOGIN_POPUP: 'LOGIN_POPUP',
             RENEW_TOKEN: 'RENEW',
             UNKNOWN: 'UNKNOWN'
         };
 
+        /**
+         * Enum for azure authentication flow
+         * @enum {string}
+         */
+        this.FLOW = {
+            IMPLICIT: 'implicit',
+            CODE: 'code'
+        };
+
+        /**
+         * Enum for azure endpoint version
+         * @enum {string}
+         */
+        this.ENDPOINT_VERSION = {
+            V1: 'v1',
+            V2: 'v2'
+        };
+
+        /**
+         * Enum for authentication lifecycle events
+         * @enum {string}
+         */
+        this.EVENTS = {
+            LOGIN_STARTED: 'loginStarted',
+            TOKEN_ACQUIRED: 'tokenAcquired',
+            TOKEN_RENEWED: 'tokenRenewed',
+            TOKEN_EXPIRED: 'tokenExpired',
+            AUTHORIZATION_FAILED: 'authorizationFailed',
+            LOGGED_OUT: 'loggedOut'
+        };
+
+        /**
+         * Enum for general error codes
+         * @enum {string}
+         */
+        this.AUTH_ERROR = {
+            TOKEN_MISSING: 'token_missing',
+            STATE_MISMATCH: 'state_mismatch',
+            AZURE_ERROR: 'azure_error',
+            SERVICE_UNAVAILABLE: 'service_unavailable',
+            PKCE_FAILURE: 'pkce_failure',
+            CODE_REDEMPTION_FAILED: 'code_redemption_failed',
+            AUTHORIZATION_FAILED: 'authorization_failed',
+            MALFORMED_RESPONSE: 'malformed_response',
+            DISPOSED: 'disposed'
+        };
+
+        /**
+         * Enum for multi-tenant authorities, configured as the azureTenant
+         * @enum {string}
+         */
+        this.AUTHORITY = {
+            COMMON: 'common',
+            ORGANIZATIONS: 'organizations',
+            CONSUMERS: 'consumers'
+        };
+
+        /**
+         * Enum for login mode
+         * @enum {string}
+         */
+        this.LOGIN_MODE = {
+            REDIRECT: 'redirect',
+            POPUP: 'popup'
+        };
+
+        /**
+         * Enum for popup login error codes
+         * @enum {string}
+         */
+        this.POPUP_ERROR = {
+            BLOCKED: 'popup_blocked',
+            CLOSED: 'popup_closed'
+        };
+
+        /**
+         * Enum for renew mode
+         * @enum {string}
+         */
+        this.RENEW_MODE = {
+            SERVICE: 'service',
+            SILENT: 'silent'
+        };
+
+        /**
+         * Enum for silent renew error codes, other azure reported errors are reported as azure_error
+         * @enum {string}
+         */
+        this.SILENT_RENEW_ERROR = {
+            LOGIN_REQUIRED: 'login_required',
+            INTERACTION_REQUIRED: 'interaction_required',
+            CONSENT_REQUIRED: 'consent_required',
+            TIMEOUT: 'renew_timeout'
+        };
+
+        /**
+         * Enum for categories of azure AADSTS errors
+         * @enum {string}
+         */
+        this.AADSTS_CATEGORY = {
+            CONSENT_REQUIRED: 'consent_required',
+            USER_NOT_ASSIGNED: 'user_not_assigned',
+            CONDITIONAL_ACCESS: 'conditional_access',
+            TENANT_MISMATCH: 'tenant_mismatch',
+            UNKNOWN: 'unknown'
+        };
+
+        /**
+         * Enum for follow up actions suggested for azure AADSTS errors
+         * @enum {string}
+         */
+        this.REMEDIATION = {
+            RELOGIN: 'relogin',
+            RELOGIN_CONSENT: 'relogin_consent',
+            RELOGIN_SELECT_ACCOUNT: 'relogin_select_account',
+            CONTACT_ADMIN: 'contact_admin',
+            NONE: 'none'
+        };
+
+        /**
+         * Enum for id token validation error codes
+         * @enum {string}
+         */
+        this.TOKEN_VALIDATION_ERROR = {
+            MALFORMED: 'token_malformed',
+            AUDIENCE: 'invalid_audience',
+            ISSUER: 'invalid_issuer',
+            TENANT: 'invalid_tenant',
+            EXPIRED: 'token_expired',
+            NOT_YET_VALID: 'token_not_yet_valid',
+            NONCE: 'nonce_mismatch',
+            SIGNATURE: 'invalid_signature',
+            SIGNING_KEY: 'signing_key_not_found'
+        };
+
         /**
          * Enum for storage constants
          * @enum {string}
@@ -70,31 +802,62 @@ var AuthContext = (function(){
             ERROR_DESCRIPTION: 'error_description',
             SESSION_STATE: 'session_state',
             ID_TOKEN: 'id_token',
+            CODE: 'code',
+            ERROR: 'error',
+            RENEW_FRAME: 'azureAuthRenewFrame',
+            LOGIN_POPUP: 'azureAuthLoginPopup',
             STORAGE: {
                 STATE_LOGIN: 'azure.state.login',
+                STATE_RENEW: 'azure.state.renew',
+                STATE_POPUP: 'azure.state.popup',
                 NONCE_IDTOKEN: 'azure.nonce.idtoken',
+                PKCE_VERIFIER_LOGIN: 'azure.pkce.verifier.login',
                 LOGIN_REQUEST: 'azure.login.request',
                 ERROR: 'azure.error',
                 ERROR_DESCRIPTION: 'azure.error.description',
+                ERROR_DETAILS: 'azure.error.details',
                 USER_TOKEN : 'user_token',
                 USER_OBJ: 'user_obj',
                 TOKEN_EXPIRATION: 'token_exp',
+                TENANT_ID: 'azure.tenant.id',
+                REFRESH_TOKEN: 'refresh_token',
+                LEADER: 'azure.leader',
             }
         };
 
         /*
-         * There can only be one highlander, if a singleton instance is already in existence
+         * There can only be one highlander, if the default context is already in existence
          * return it and do not proceed with context build
          */
-        if (AuthContext.prototype._singleton) {
-            return AuthContext.prototype._singleton;
+        var name = creating || DEFAULT_CONTEXT;
+        creating = null;
+        if (name === DEFAULT_CONTEXT && contexts[DEFAULT_CONTEXT]) {
+            return contexts[DEFAULT_CONTEXT];
         }
-        AuthContext.prototype._singleton = this;
+        this._name = name;
+        this._disposed = false;
 
 
         // Begin to set up configuration defaults/set values and other instance needs
-        this.config = config || {};
+        //defaults are applied to a copy, the caller's configuration is left untouched and may be reused
+        this.config = {};
+        for(var option in config){
+            if(config.hasOwnProperty(option)){
+                this.config[option] = config[option];
+            }
+        }
         this._actionInProgress = false;
+        this._listeners = {};
+        this._expirationTimer = null;
+        this._renewTimer = null;
+        this._renewAttempts = 0;
+        this._renewPending = false;
+        this._renewing = null;
+        this._silentRenewals = [];
+        this._authorization = null;
+        this._tabId = this._uuid();
+        this._channel = null;
+        this._leaderTimer = null;
 
         //verify tenant and app id configuration
         if(!this.config.azureTenant || this.config.azureTenant.trim().length == 0){
@@ -133,162 +896,444 @@ var AuthContext = (function(){
         }
 
         //Set default cache to local storage if not set
-        if(!this.config.cacheLocation || this.config.cacheLocation.trim().length == 0){
+        if(!this.config.cacheLocation || (typeof this.config.cacheLocation === 'string' && this.config.cacheLocation.trim().length == 0)){
             this.config.cacheLocation = "localStorage";
         }
 
-        if(!this.config.hasOwnProperty(logoutGlobalAzure)){
+        if(!this.config.hasOwnProperty('logoutGlobalAzure')){
             this.config.logoutGlobalAzure = false;
         }
 
-        //Setup storage method
-        if (this.config.cacheLocation.substring(0, 5).toLowerCase() === 'local') {
-            if (this._supportsLocalStorage()) {
-                this._storage = localStorage;
-            } else {
-                throw new Error("local storage is not supported");
-            }
-        } else {
-            if (this._supportsSessionStorage()) {
-                this._storage = sessionStorage;
-            } else {
-                throw new Error("session storage is not supported");
-            }
+        if(!this.config.hasOwnProperty('restoreLoginRequest')){
+            this.config.restoreLoginRequest = true;
         }
-    };
-
-
-    // #PUBLIC SECTION
-    /**
-     * Tie into the window/ azure authentication cycle to acquire a final the final authorization token
-     * @param {authorizeCallback} callback
-     */
-    AuthContext.prototype.authorize = function(callback){
 
-        if(!callback || typeof callback !== 'function'){
-            throw new Error("A callback function must be supplied due to the async nature of this function");
+        if(typeof this.config.navigate !== 'function'){
+            this.config.navigate = this._navigate.bind(this);
         }
 
-        var hash = this._getHash();
-        var obj = this._deserialize(hash);
+        //Set default authentication flow to implicit if not set
+        if(!this.config.flow || this.config.flow.trim().length == 0){
+            this.config.flow = this.FLOW.IMPLICIT;
+        }
 
-        //determine if this is a response from azure based on the window.location.hash contents
-        //if so begin the process of getting the returned authentication token and calling the authorization service
-        if(this._isCallback(obj)){
-            var obj = this._getRequestInfo(obj);
+        if(this.config.flow !== this.FLOW.IMPLICIT && this.config.flow !== this.FLOW.CODE){
+            throw new Error("Unknown authentication flow: " + this.config.flow);
+        }
 
-            //determine if there was an error in the azure pipeline
-            if(obj.hasOwnProperty(this.CONSTANTS.ERROR_DESCRIPTION)){
-                //error present set the values to storage for later retrieval
-                this._store(this.CONSTANTS.STORAGE.ERROR, obj['error']);
-                this._store(this.CONSTANTS.STORAGE.ERROR_DESCRIPTION, obj[this.CONSTANTS.ERROR_DESCRIPTION]);
+        if(this.config.flow === this.FLOW.CODE && !this._supportsWebCrypto()){
+            throw new Error("Authorization code flow requires WebCrypto support");
+        }
 
-                if(obj.requestInfo.requestType === this.REQUEST_TYPE.LOGIN){
-                    this._actionInProgress = false;
-                }
-            }else {
-                //get id token from request and begin the process of getting the authorization token
-                if(obj.requestInfo.stateMatch){
-                    var azureToken = obj[this.CONSTANTS.ID_TOKEN];
+        //Set default endpoint version to v1 if not set
+        if(!this.config.azureEndpointVersion || this.config.azureEndpointVersion.trim().length == 0){
+            this.config.azureEndpointVersion = this.ENDPOINT_VERSION.V1;
+        }
 
-                    //make sure token was passed
-                    if(!azureToken){
-                        callback('authorization not available', false);
-                    }
+        if(this.config.azureEndpointVersion !== this.ENDPOINT_VERSION.V1 &&
+            this.config.azureEndpointVersion !== this.ENDPOINT_VERSION.V2){
+            throw new Error("Unknown endpoint version: " + this.config.azureEndpointVersion);
+        }
 
-                    //setup call to authorization service
-                    var handler = this._handleServiceResponse.bind(this);
+        //the v1 token endpoint does not allow the cross origin requests redeeming the authorization code
+        if(this.config.flow === this.FLOW.CODE && this.config.azureEndpointVersion !== this.ENDPOINT_VERSION.V2){
+            throw new Error("Authorization code flow requires the v2 endpoint");
+        }
 
-                    var xhr = new XMLHttpRequest();
-                    xhr.onreadystatechange = function(){
-                        if(xhr.readyState === XMLHttpRequest.DONE){
-                            handler(xhr.status, xhr.statusText, xhr.responseText, callback);
-                        }
-                    };
+        //Set default login mode to redirect if not set
+        if(!this.config.loginMode || this.config.loginMode.trim().length == 0){
+            this.config.loginMode = this.LOGIN_MODE.REDIRECT;
+        }
 
-                    xhr.open("POST", this.config.authorizationServiceLoginUri , true);
-                    xhr.setRequestHeader("Content-Type", "application/json; charset=utf-8");
-                    xhr.send(JSON.stringify({authorization_token: azureToken, contexts: this.config.authorizationContexts}));
+        if(this.config.loginMode !== this.LOGIN_MODE.REDIRECT && this.config.loginMode !== this.LOGIN_MODE.POPUP){
+            throw new Error("Unknown login mode: " + this.config.loginMode);
+        }
 
-                }else{
-                    this._store(this.CONSTANTS.STORAGE.ERROR, 'Invalid State');
-                    this._store(this.CONSTANTS.STORAGE.ERROR_DESCRIPTION, 'Invalid State, state: ' + obj.requestInfo.stateResponse);
+        if(!this.config.hasOwnProperty('popupFallbackToRedirect')){
+            this.config.popupFallbackToRedirect = false;
+        }
 
-                    if(obj.requestInfo.requestType === this.REQUEST_TYPE.LOGIN){
-                        this._actionInProgress = false;
-                    }
-                }
-            }
+        //Set default renew mode to the authorization service if not set
+        if(!this.config.renewMode || this.config.renewMode.trim().length == 0){
+            this.config.renewMode = this.RENEW_MODE.SERVICE;
         }
-    };
 
-    /**
-     * Renews an existing authorization token that has expired.
-     * @param {authorizeCallback} callback
-     */
-    AuthContext.prototype.renew = function(callback){
+        if(this.config.renewMode !== this.RENEW_MODE.SERVICE && this.config.renewMode !== this.RENEW_MODE.SILENT){
+            throw new Error("Unknown renew mode: " + this.config.renewMode);
+        }
 
-        if(!callback || typeof callback !== 'function'){
-            throw new Error("A callback function must be supplied due to the async nature of this function");
+        if (!this.config.azureSilentRedirectUri) {
+            this.config.azureSilentRedirectUri = this.config.azureLoginRedirectUri;
         }
 
-        this._actionInProgress = true;
+        if(typeof this.config.silentRenewTimeout !== 'number' || this.config.silentRenewTimeout <= 0){
+            this.config.silentRenewTimeout = 10000;
+        }
 
-        //make sure token was passed
-        var token = this._get(this.CONSTANTS.USER_TOKEN);
+        this._transport = this._createTransport(this.config.transport || 'xhr');
 
-        //make sure callback was provided
-        if (!callback || typeof callback !== 'function') {
-            throw new Error('callback is not a function');
+        if(typeof this.config.requestTimeout !== 'number' || this.config.requestTimeout < 0){
+            this.config.requestTimeout = 10000;
         }
 
-        //make sure token was passed
-        if(!token){
-            callback('authorization token not found', null)
+        if(typeof this.config.requestRetries !== 'number' || this.config.requestRetries < 0){
+            this.config.requestRetries = 2;
         }
 
-        if(!this._config.urls.renew){
-            callback('unknown/invalid authorization url',null)
+        if(typeof this.config.requestRetryDelay !== 'number' || this.config.requestRetryDelay < 0){
+            this.config.requestRetryDelay = 500;
         }
 
-        var handler = this._handleServiceResponse.bind(this);
+        var mapping = this.config.responseMapping || {};
+        this.config.responseMapping = {
+            token: mapping.token || 'token',
+            expiresAt: mapping.expiresAt || 'user.exp',
+            user: mapping.user || 'user',
+            refreshToken: mapping.refreshToken || 'refresh_token'
+        };
 
-        var xhr = new XMLHttpRequest();
-        xhr.onreadystatechange = function(){
-            if(xhr.readyState === XMLHttpRequest.DONE){
-                handler(xhr.status, xhr.statusText, xhr.responseText, callback);
-            }
+        var claims = this.config.permissionClaims || {};
+        this.config.permissionClaims = {
+            contexts: claims.contexts || 'contexts',
+            roles: claims.roles || 'roles'
         };
 
-        xhr.open("POST", this.config.authorizationServiceRenewUri , true);
-        xhr.setRequestHeader("Content-Type", "application/json; charset=utf-8");
+        if(!this.config.hasOwnProperty('autoRenew')){
+            this.config.autoRenew = false;
+        }
 
+        if(typeof this.config.autoRenewOffset !== 'number' || this.config.autoRenewOffset < 0){
+            this.config.autoRenewOffset = 300;
+        }
 
-        xhr.send(JSON.stringify({authorization_token: token}));
-    };
+        if(typeof this.config.autoRenewMaxRetries !== 'number' || this.config.autoRenewMaxRetries < 0){
+            this.config.autoRenewMaxRetries = 3;
+        }
+
+        if(typeof this.config.autoRenewRetryDelay !== 'number' || this.config.autoRenewRetryDelay <= 0){
+            this.config.autoRenewRetryDelay = 5;
+        }
+
+        if(!this.config.hasOwnProperty('syncTabs')){
+            this.config.syncTabs = true;
+        }
+
+        if(!this.config.hasOwnProperty('validateIdToken')){
+            this.config.validateIdToken = true;
+        }
+
+        if(typeof this.config.clockSkew !== 'number' || this.config.clockSkew < 0){
+            this.config.clockSkew = 300;
+        }
+
+        //a domain name does not tell which tenant issued a token, its tenant id is looked up when first needed
+        this._tenantId = null;
+        this._tenantIdLookedUp = false;
+
+        if(this.config.validateSignature && !this._supportsWebCrypto()){
+            throw new Error("Token signature validation requires WebCrypto support");
+        }
+
+        //signing keys by kid, loaded on demand from the configured key set
+        this._signingKeys = {};
+
+        //v2 endpoint requests scopes rather than a resource, the openid scope is needed to receive an id token
+        if(this.config.azureEndpointVersion === this.ENDPOINT_VERSION.V2){
+            if(!Array.isArray(this.config.scopes) || this.config.scopes.length == 0){
+                this.config.scopes = ['openid', 'profile'];
+            }else if(this.config.scopes.indexOf('openid') < 0){
+                this.config.scopes = ['openid'].concat(this.config.scopes);
+            }
+        }
+
+        //every persisted key is namespaced so apps and tenants sharing an origin do not overwrite each other
+        this._namespace = (this.config.storagePrefix ? this.config.storagePrefix + '.' : '') +
+            (this._name !== DEFAULT_CONTEXT ? this._name + '.' : '') + this.config.azureAppID + '.' + this.config.azureTenant + '.';
+
+        //Setup storage method, asynchronous adapters are read through memory once their entries are loaded
+        this._storage = this._baseStorage = this._createStorage(this.config.cacheLocation);
+        if (this.config.encryptStorage) {
+            if (!this._supportsWebCrypto() || !window.indexedDB) {
+                throw new Error("Storage encryption requires WebCrypto and IndexedDB support");
+            }
+            this._storage = new EncryptedStorage(this._storage, 'azure-auth.' + this._namespace, this._getEncryptedKeys());
+        }
+
+        this._ready = null;
+        if (typeof this._storage.load === 'function') {
+            this._storage = new StorageMirror(this._storage);
+            this._ready = this._storage.load();
+        }
+
+        //resume a scheduled renewal that came due while the page was hidden
+        if(this.config.autoRenew && typeof document !== 'undefined' && document.addEventListener){
+            this._visibilityHandler = this._onVisibilityChange.bind(this);
+            document.addEventListener('visibilitychange', this._visibilityHandler);
+        }
+
+        if(this.config.syncTabs && this._isBaseStorage('localStorage')){
+            this._setupTabSync();
+        }
+
+        contexts[this._name] = this;
+        var waiters = waiting[this._name] || [];
+        delete waiting[this._name];
+        for(var i = 0; i < waiters.length; i++){
+            waiters[i](this);
+        }
+
+        var self = this;
+        this._whenReady(function(){
+            self._migrateStorage();
+            self._scheduleExpiration();
+            self._scheduleRenewal();
+        });
+    };
+
+
+    // #PUBLIC SECTION
+    /**
+     * Tie into the window/ azure authentication cycle to acquire a final the final authorization token.
+     * Resolves to null without invoking the callback when the window does not hold an azure response. A response is
+     * exchanged once, repeated calls settle with the outcome of the first call.
+     * @param {authorizeCallback} [callback]
+     * @returns {Promise} resolves to the authorization token, rejects with an AuthError
+     */
+    AuthContext.prototype.authorize = function(callback){
+        var self = this;
+        return this._deferred(callback, function(complete, resolve){
+            var obj = self._getCallbackParameters();
+
+            //determine if this is a response from azure based on the window.location contents
+            //if so begin the process of getting the returned authentication token and calling the authorization service
+            if(!self._isCallback(obj)){
+                resolve(null);
+                return;
+            }
+
+            //a response is exchanged once, later calls e.g. by several elements sharing the context share its outcome
+            var response = JSON.stringify(obj);
+            var pending = self._authorization;
+            if(pending && pending.response === response){
+                if(pending.settled){
+                    complete(pending.error, pending.token);
+                }else{
+                    pending.waiting.push(complete);
+                }
+                return;
+            }
+
+            obj = self._getRequestInfo(obj);
+
+            // silent renew and popup login responses are read from the iframe or popup by the requesting window
+            if(obj.requestInfo.requestType === self.REQUEST_TYPE.RENEW_TOKEN ||
+                obj.requestInfo.requestType === self.REQUEST_TYPE.LOGIN_POPUP){
+                resolve(null);
+                return;
+            }
+
+            // an authorization code is single use, remove it from the address bar so a reload does not replay it.
+            // only this window's own redirect login is stripped, a popup or iframe that cannot see the opener's
+            // state must leave the code for the opener to read
+            if(self.config.flow === self.FLOW.CODE && obj.requestInfo.requestType === self.REQUEST_TYPE.LOGIN &&
+                obj.requestInfo.stateMatch && window.history && window.history.replaceState){
+                window.history.replaceState(null, document.title, window.location.pathname + window.location.hash);
+            }
+
+            pending = self._authorization = {response: response, settled: false, error: null, token: null, waiting: []};
+            self._handleAzureResponse(obj, self._notifying(self.EVENTS.TOKEN_ACQUIRED, function(error, token){
+                pending.settled = true;
+                pending.error = error;
+                pending.token = token;
+                complete(error, token);
+                pending.waiting.forEach(function(waiter){
+                    waiter(error, token);
+                });
+                pending.waiting = [];
+                if(!error){
+                    self._restoreLoginRequest();
+                }
+            }));
+        });
+    };
 
     /**
-     * Initiates the login process
-     * @param {string} startPage - [Optional] URL of starting page, current window.location default
+     * Renews an existing authorization token that has expired. In silent renew mode a fresh azure token
+     * is acquired through a hidden iframe and exchanged with the authorization service, azure errors such as
+     * login_required or interaction_required are reported by their azure error code.
+     * @param {authorizeCallback} [callback]
+     * @returns {Promise} resolves to the authorization token, rejects with an AuthError
      */
-    AuthContext.prototype.login = function(startPage){
-        if(this._actionInProgress){
-            //STOP : we dot want to do this more than needed,
-            return;
+    AuthContext.prototype.renew = function(callback){
+        var self = this;
+        return this._deferred(callback, function(complete){
+            complete = self._notifying(self.EVENTS.TOKEN_RENEWED, complete);
+
+            if(self._disposed){
+                complete(new AuthError(self.AUTH_ERROR.DISPOSED, 'The context has been disposed'), null);
+                return;
+            }
+
+            if(self.config.renewMode === self.RENEW_MODE.SILENT){
+                self._renewSilently(complete);
+                return;
+            }
+
+            //make sure token was passed
+            var token = self._get(self.CONSTANTS.STORAGE.USER_TOKEN);
+            if(!token){
+                complete(new AuthError(self.AUTH_ERROR.TOKEN_MISSING, 'authorization token not found'), null);
+                return;
+            }
+
+            self._actionInProgress = true;
+
+            var handler = self._handleServiceResponse.bind(self);
+            var payload = {authorization_token: token};
+            var refreshToken = self._get(self.CONSTANTS.STORAGE.REFRESH_TOKEN);
+            if(refreshToken){
+                payload.refresh_token = refreshToken;
+            }
+
+            self._post(self.config.authorizationServiceRenewUri, "application/json; charset=utf-8",
+                JSON.stringify(payload),
+                function(status, statusText, responseText){
+                    handler(status, statusText, responseText, complete);
+                });
+        });
+    };
+
+    /**
+     * Performs a fetch carrying the authorization token as a bearer token. An expired token is renewed before
+     * the request is sent, and a request answered with 401 is replayed once after renewing the token.
+     * Concurrent requests share a single renewal.
+     * @param {string|Request} input - resource to fetch
+     * @param {object} [init] - fetch options, any Authorization header is replaced
+     * @returns {Promise} resolves to the fetch Response, rejects with an AuthError when renewal fails
+     */
+    AuthContext.prototype.fetch = function(input, init){
+        var self = this;
+        if(typeof window.fetch !== 'function'){
+            return Promise.reject(new Error("fetch is not supported"));
         }
 
-        var expectedState = this._uuid();
-        this.config.state = expectedState;
-        this._idTokenNonce = this._uuid();
-        this._store(this.CONSTANTS.STORAGE.LOGIN_REQUEST, startPage || window.location.href);
-        this._store(this.CONSTANTS.STORAGE.STATE_LOGIN, expectedState);
-        this._store(this.CONSTANTS.STORAGE.NONCE_IDTOKEN, this._idTokenNonce);
-        this._store(this.CONSTANTS.STORAGE.ERROR, '');
-        this._store(this.CONSTANTS.STORAGE.ERROR_DESCRIPTION, '');
-        var urlNavigate = this._generateAzureLoginURL('id_token', null) + '&nonce=' + encodeURIComponent(this._idTokenNonce);
-        this._actionInProgress = true;
+        var send = function(){
+            //requests are rebuilt from the unread original so their body can be sent again
+            var request = typeof Request !== 'undefined' && input instanceof Request ? input.clone() : input;
+            var headers = new Headers(init && init.headers ? init.headers : request.headers);
+            var token = self.getToken();
+            if(token){
+                headers.set('Authorization', 'Bearer ' + token);
+            }
+
+            var options = {};
+            for(var key in init){
+                if(init.hasOwnProperty(key)){
+                    options[key] = init[key];
+                }
+            }
+            options.headers = headers;
+            return window.fetch(request, options);
+        };
+
+        return this.ready().then(function(){
+            return self.getToken() && self.isTokenExpired() ? self._renewShared() : null;
+        }).then(send).then(function(response){
+            if(response.status !== 401){
+                return response;
+            }
+            return self._renewShared().then(send);
+        });
+    };
+
+    /**
+     * Initiates the login process. In redirect mode the window navigates to azure and the login completes
+     * through authorize once azure redirects back, in popup mode azure is opened within a popup window and the
+     * login completes within this window.
+     * @param {string|object} [options] - URL of starting page (current window.location default), or an options object
+     * @param {string} [options.startPage] - URL of starting page, current window.location default
+     * @param {string} [options.mode] - login mode, 'redirect' or 'popup', defaults to the configured loginMode
+     * @param {string} [options.prompt] - azure prompt, e.g. 'login', 'consent' or 'select_account'
+     * @param {authorizeCallback} [callback] - popup mode only, popup_blocked and popup_closed are reported by code
+     * @returns {Promise} popup mode resolves to the authorization token, redirect mode resolves to null once
+     * the window is navigating to azure
+     */
+    AuthContext.prototype.login = function(options, callback){
+        var self = this;
+        return this._deferred(callback, function(complete, resolve){
+            if(self._actionInProgress){
+                //STOP : we dot want to do this more than needed,
+                resolve(null);
+                return;
+            }
+
+            options = typeof options === 'string' ? {startPage: options} : (options || {});
+            complete = self._notifying(self.EVENTS.TOKEN_ACQUIRED, complete);
+
+            var popup = null;
+            if((options.mode || self.config.loginMode) === self.LOGIN_MODE.POPUP){
+                //the popup is opened up front, browsers block popups not opened directly from the user's action
+                popup = self._openPopup();
+                if(!popup && !self.config.popupFallbackToRedirect){
+                    self._fail(self.POPUP_ERROR.BLOCKED, 'Login popup was blocked by the browser', complete);
+                    return;
+                }
+            }
+
+            var expectedState = self._uuid();
+            self.config.state = expectedState;
+            self._idTokenNonce = self._uuid();
+            if(popup){
+                self._store(self.CONSTANTS.STORAGE.STATE_POPUP, expectedState);
+            }else{
+                self._store(self.CONSTANTS.STORAGE.LOGIN_REQUEST, options.startPage || window.location.href);
+                self._store(self.CONSTANTS.STORAGE.STATE_LOGIN, expectedState);
+            }
+            self._store(self.CONSTANTS.STORAGE.NONCE_IDTOKEN, self._idTokenNonce);
+            self._store(self.CONSTANTS.STORAGE.ERROR, '');
+            self._store(self.CONSTANTS.STORAGE.ERROR_DESCRIPTION, '');
+            self._store(self.CONSTANTS.STORAGE.ERROR_DETAILS, '');
+            self._actionInProgress = true;
+            self._emit(self.EVENTS.LOGIN_STARTED);
+
+            self._generateAzureRequestURL(self.config, self._idTokenNonce, options.prompt || null, function(error, url, verifier){
+                if(error){
+                    if(popup){
+                        popup.close();
+                    }
+                    self._fail(self.AUTH_ERROR.PKCE_FAILURE, error, complete);
+                    return;
+                }
+                if(verifier){
+                    self._store(self.CONSTANTS.STORAGE.PKCE_VERIFIER_LOGIN, verifier);
+                }
+
+                if(popup){
+                    self._loginWithPopup(popup, url, complete);
+                }else{
+                    self._prompt(url);
+                    resolve(null);
+                }
+            });
+        });
+    };
+
+    /**
+     * Resolves once the configured storage is ready, asynchronous storage adapters load their entries first.
+     * authorize, renew, login and logout wait for storage on their own, synchronous reads such as getToken
+     * should wait for this when an asynchronous adapter is configured.
+     * @returns {Promise}
+     */
+    AuthContext.prototype.ready = function(){
+        if(typeof Promise === 'undefined'){
+            return undefined;
+        }
 
-        this._prompt(urlNavigate);
+        return (this._ready || Promise.resolve()).then(function(){
+            return null;
+        }, function(){
+            return null;
+        });
     };
 
     /**
@@ -303,302 +1348,2173 @@ var AuthContext = (function(){
         }
     };
 
-
+
+    /**
+     * Extracts the User token to the caller
+     * @returns {string}
+     */
+    AuthContext.prototype.getToken = function(){
+        return this._get(this.CONSTANTS.STORAGE.USER_TOKEN);
+    };
+
+    /**
+     * Extracts the id of the tenant the user signed in from, resolved from the azure id token
+     * @returns {string}
+     */
+    AuthContext.prototype.getTenantId = function(){
+        return this._get(this.CONSTANTS.STORAGE.TENANT_ID);
+    };
+
+    /**
+     * Provides the last error recorded by a login or renew, it survives the redirect back from azure
+     * @returns {AuthError} null if no error was recorded since the last login started
+     */
+    AuthContext.prototype.getLastError = function(){
+        var code = this._get(this.CONSTANTS.STORAGE.ERROR);
+        if(!code){
+            return null;
+        }
+
+        var details = null;
+        try{
+            details = JSON.parse(this._get(this.CONSTANTS.STORAGE.ERROR_DETAILS));
+        }catch(e){
+            details = null;
+        }
+        return new AuthError(code, this._get(this.CONSTANTS.STORAGE.ERROR_DESCRIPTION), details);
+    };
+
+    /**
+     * Describes the AADSTS code within an azure error for display to the user, along with the follow up action
+     * suggested. Actions calling for a new login provide the login options to pass to login, e.g. prompt=consent.
+     * @param {AuthError|string} error - error, or azure error description
+     * @returns {object} aadstsCode, category (see AADSTS_CATEGORY), message, action (see REMEDIATION) and
+     * loginOptions, null if the error holds no AADSTS code
+     */
+    AuthContext.prototype.describeError = function(error){
+        var description = typeof error === 'string' ? error :
+            (error ? error.azureErrorDescription || error.message || '' : '');
+        var match = /AADSTS(\d+)/.exec(description);
+        if(!match){
+            return null;
+        }
+
+        var code = 'AADSTS' + match[1];
+        var entry = AADSTS_CATALOG.hasOwnProperty(match[1]) ? AADSTS_CATALOG[match[1]] : AADSTS_UNKNOWN;
+        var messages = this.config.errorMessages || {};
+        var prompt = REMEDIATION_PROMPT.hasOwnProperty(entry.action) ? REMEDIATION_PROMPT[entry.action] : null;
+
+        return {
+            aadstsCode: code,
+            category: entry.category,
+            message: messages[code] || messages[entry.category] || entry.message,
+            action: entry.action,
+            loginOptions: prompt ? {prompt: prompt} : null
+        };
+    };
+
+    /**
+     * Extracts the user information to the caller
+     * @returns {object}
+     */
+    AuthContext.prototype.getUserInformation = function(){
+        var user = this._get(this.CONSTANTS.STORAGE.USER_OBJ);
+        if(!user) {
+            return null;
+        }
+
+        try{
+            return JSON.parse(user);
+        }catch(e){
+            return null;
+        }
+    };
+
+    /**
+     * Lists the authorization contexts granted to the user
+     * @returns {String[]}
+     */
+    AuthContext.prototype.getGrantedContexts = function(){
+        return Object.keys(this._getGrants());
+    };
+
+    /**
+     * Provides indication if an authorization context was granted to the user
+     * @param {string} name - authorization context
+     * @returns {boolean}
+     */
+    AuthContext.prototype.hasContext = function(name){
+        return this._getGrants().hasOwnProperty(name);
+    };
+
+    /**
+     * Provides indication if a permission was granted to the user within an authorization context
+     * @param {string} context - authorization context
+     * @param {string} permission
+     * @returns {boolean}
+     */
+    AuthContext.prototype.hasPermission = function(context, permission){
+        var grants = this._getGrants();
+        return grants.hasOwnProperty(context) && grants[context].indexOf(permission) >= 0;
+    };
+
+    /**
+     * Provides indication if the user holds at least one of the roles
+     * @param {String[]} roles
+     * @returns {boolean}
+     */
+    AuthContext.prototype.hasAnyRole = function(roles){
+        var user = this.getUserInformation();
+        var granted = user ? this._getPath(user, this.config.permissionClaims.roles) : null;
+        if(typeof granted === 'string'){
+            granted = [granted];
+        }
+        if(!Array.isArray(granted) || !Array.isArray(roles)){
+            return false;
+        }
+
+        return roles.some(function(role){
+            return granted.indexOf(role) >= 0;
+        });
+    };
+
+    /**
+     * Provides indication if the authorization token has expired, true when no token is held
+     * @returns {boolean}
+     */
+    AuthContext.prototype.isTokenExpired = function(){
+        return !(this.getTokenExpirationInSeconds() > 0);
+    };
+
+    /**
+     * Seconds remaining until the authorization token expires, NaN when no token is held
+     * @returns {number}
+     */
+    AuthContext.prototype.getTokenExpirationInSeconds = function(){
+        return (parseInt(this._get(this.CONSTANTS.STORAGE.TOKEN_EXPIRATION)) - Math.floor(Date.now() / 1000))
+    };
+
+    /**
+     * Logs the users out and destroys all persisted data
+     * @param {authorizeCallback} [callback]
+     * @returns {Promise} resolves to null once persisted data is destroyed
+     */
+    AuthContext.prototype.logout = function(callback){
+        var self = this;
+        return this._deferred(callback, function(complete){
+            //purge all known values in storage
+            for(var key in self.CONSTANTS.STORAGE){
+                if(self.CONSTANTS.STORAGE.hasOwnProperty(key)){
+                    self._purge(self.CONSTANTS.STORAGE[key]);
+                }
+            }
+
+            self._clearSchedule();
+            self._emit(self.EVENTS.LOGGED_OUT);
+            self._broadcast(self.EVENTS.LOGGED_OUT);
+
+            // if configured logout of the global azure session
+            if(self.config.logoutGlobalAzure){
+                self._prompt(self._generateAzureLogoutURL());
+            }
+
+            complete(null, null);
+        });
+    };
+
+    /**
+     * Registers a listener for an authentication lifecycle event
+     * @param {string} event - event name, see EVENTS
+     * @param {eventListener} listener
+     * @returns {AuthContext} this context for chaining
+     */
+    AuthContext.prototype.on = function(event, listener){
+        if(typeof listener !== 'function'){
+            throw new Error('listener is not a function');
+        }
+
+        (this._listeners[event] = this._listeners[event] || []).push(listener);
+        return this;
+    };
+
+    /**
+     * Removes a listener registered through on or once, all listeners of the event are removed if no listener is given
+     * @param {string} event - event name, see EVENTS
+     * @param {eventListener} [listener]
+     * @returns {AuthContext} this context for chaining
+     */
+    AuthContext.prototype.off = function(event, listener){
+        if(!listener){
+            delete this._listeners[event];
+            return this;
+        }
+
+        var listeners = this._listeners[event] || [];
+        for(var i = listeners.length - 1; i >= 0; i--){
+            if(listeners[i] === listener || listeners[i]._listener === listener){
+                listeners.splice(i, 1);
+            }
+        }
+        return this;
+    };
+
+    /**
+     * Registers a listener that is removed after the first time the event fires
+     * @param {string} event - event name, see EVENTS
+     * @param {eventListener} listener
+     * @returns {AuthContext} this context for chaining
+     */
+    AuthContext.prototype.once = function(event, listener){
+        var self = this;
+        var wrapper = function(payload){
+            self.off(event, wrapper);
+            listener.call(self, payload);
+        };
+        wrapper._listener = listener;
+        return this.on(event, wrapper);
+    };
+
+    /**
+     * Tears the context down, cancelling its timers, releasing renewal leadership, detaching its window listeners
+     * and event listeners and removing it from the context registry. Silent renewals in flight and renewals
+     * requested afterwards are rejected with the disposed error.
+     * The persisted session is left in place, a disposed context should not be used again
+     */
+    AuthContext.prototype.dispose = function(){
+        if(this._disposed){
+            return;
+        }
+        this._disposed = true;
+
+        this._clearSchedule();
+        if(this._leaderTimer){
+            clearInterval(this._leaderTimer);
+            this._leaderTimer = null;
+            this._releaseLeadership();
+        }
+
+        if(this._channel){
+            this._channel.close();
+            this._channel = null;
+        }
+        if(this._visibilityHandler){
+            document.removeEventListener('visibilitychange', this._visibilityHandler);
+            this._visibilityHandler = null;
+        }
+        if(this._storageHandler){
+            window.removeEventListener('storage', this._storageHandler);
+            this._storageHandler = null;
+        }
+        if(this._unloadHandler){
+            window.removeEventListener('pagehide', this._unloadHandler);
+            this._unloadHandler = null;
+        }
+
+        //renewals in flight are rejected once the listeners are gone, awaiting requests must not hang
+        this._listeners = {};
+        this._silentRenewals.slice().forEach(function(cancel){
+            cancel();
+        });
+        if(contexts[this._name] === this){
+            delete contexts[this._name];
+        }
+    };
+
+    // #PRIVATE SECTION
+
+    /**
+     * Notifies the listeners of an event, a failing listener does not keep the remaining listeners from being notified
+     * @param {string} event - event name, see EVENTS
+     * @param {AuthError} [error] - error reported with the event
+     * @private
+     */
+    AuthContext.prototype._emit = function(event, error){
+        var listeners = (this._listeners[event] || []).slice();
+        if(listeners.length === 0){
+            return;
+        }
+
+        var token = this.getToken();
+        var payload = {
+            type: event,
+            token: token,
+            expiresAt: token ? parseInt(this._get(this.CONSTANTS.STORAGE.TOKEN_EXPIRATION)) : null,
+            user: token ? this.getUserInformation() : null
+        };
+        if(error){
+            payload.error = error;
+        }
+
+        for(var i = 0; i < listeners.length; i++){
+            try{
+                listeners[i].call(this, payload);
+            }catch(e){
+                console.log("Listener of %s failed, %s", event, e);
+            }
+        }
+    };
+
+    /**
+     * Wraps the completion of an authorization request to emit the matching lifecycle event
+     * @param {string} event - event emitted when a token is acquired
+     * @param {authorizeCallback} complete
+     * @returns {authorizeCallback}
+     * @private
+     */
+    AuthContext.prototype._notifying = function(event, complete){
+        var self = this;
+        return function(error, token){
+            if(error){
+                self._emit(self.EVENTS.AUTHORIZATION_FAILED, error);
+            }else if(token){
+                self._scheduleExpiration();
+                self._scheduleRenewal();
+                self._emit(event);
+                self._broadcast(event);
+            }
+            complete(error, token);
+        };
+    };
+
+    /**
+     * Renews the authorization token, joining the renewal already in flight if there is one
+     * @returns {Promise} resolves to the renewed authorization token
+     * @private
+     */
+    AuthContext.prototype._renewShared = function(){
+        var self = this;
+        if(!this._renewing){
+            var settle = function(){
+                self._renewing = null;
+            };
+            this._renewing = this.renew();
+            this._renewing.then(settle, settle);
+        }
+        return this._renewing;
+    };
+
+    /**
+     * Schedules automatic renewal of the held authorization token the configured offset ahead of its expiration
+     * @private
+     */
+    AuthContext.prototype._scheduleRenewal = function(){
+        clearTimeout(this._renewTimer);
+        this._renewTimer = null;
+        this._renewAttempts = 0;
+
+        var remaining = this.getTokenExpirationInSeconds();
+        if(!this.config.autoRenew || !this.getToken() || isNaN(remaining)){
+            return;
+        }
+
+        this._setRenewTimer(Math.max(remaining - this.config.autoRenewOffset, 0));
+    };
+
+    /**
+     * Sets the timer of the next automatic renewal attempt
+     * @param {number} seconds - delay until the attempt
+     * @private
+     */
+    AuthContext.prototype._setRenewTimer = function(seconds){
+        var self = this;
+        clearTimeout(this._renewTimer);
+        if(this._disposed){
+            return;
+        }
+        //timers overflow beyond 2^31-1 milliseconds, the attempt re-evaluates the schedule if it is early
+        this._renewTimer = setTimeout(function(){
+            self._renewTimer = null;
+            self._runScheduledRenewal();
+        }, Math.min(seconds * 1000, 2147483647));
+    };
+
+    /**
+     * Runs an automatic renewal attempt, retrying with exponential backoff on failure. The attempt is held
+     * while the page is hidden and runs once the page becomes visible again.
+     * @private
+     */
+    AuthContext.prototype._runScheduledRenewal = function(){
+        var self = this;
+
+        if(typeof document !== 'undefined' && document.hidden){
+            this._renewPending = true;
+            return;
+        }
+        this._renewPending = false;
+
+        if(this._renewAttempts === 0 && this.getTokenExpirationInSeconds() > this.config.autoRenewOffset){
+            this._scheduleRenewal();
+            return;
+        }
+
+        //only the leading tab renews, the others pick up its renewed token through tab sync
+        if(this._actionInProgress || !this._isLeader()){
+            this._setRenewTimer(this.config.autoRenewRetryDelay);
+            return;
+        }
+
+        //a successful renewal reschedules through the token renewed handling
+        this.renew(function(error){
+            if(!error || self._renewAttempts >= self.config.autoRenewMaxRetries){
+                return;
+            }
+            var delay = self.config.autoRenewRetryDelay * Math.pow(2, self._renewAttempts);
+            self._renewAttempts++;
+            self._setRenewTimer(delay);
+        });
+    };
+
+    /**
+     * Runs an automatic renewal held while the page was hidden
+     * @private
+     */
+    AuthContext.prototype._onVisibilityChange = function(){
+        if(!document.hidden && this._renewPending){
+            this._runScheduledRenewal();
+        }
+    };
+
+    /**
+     * Cancels the scheduled expiration notice and automatic renewal
+     * @private
+     */
+    AuthContext.prototype._clearSchedule = function(){
+        clearTimeout(this._expirationTimer);
+        clearTimeout(this._renewTimer);
+        this._expirationTimer = null;
+        this._renewTimer = null;
+        this._renewPending = false;
+    };
+
+    /**
+     * Starts listening for session changes made by other tabs, through a BroadcastChannel where supported and
+     * storage events otherwise, and joins the leader election of tabs running automatic renewal
+     * @private
+     */
+    AuthContext.prototype._setupTabSync = function(){
+        var self = this;
+
+        if(typeof BroadcastChannel !== 'undefined'){
+            this._channel = new BroadcastChannel('azure-auth.' + this._namespace);
+            this._channel.onmessage = function(e){
+                if(e.data && e.data.source !== self._tabId){
+                    self._onSessionChanged(e.data.type);
+                }
+            };
+        }else if(window.addEventListener){
+            this._storageHandler = this._onStorage.bind(this);
+            window.addEventListener('storage', this._storageHandler);
+        }
+
+        if(this.config.autoRenew){
+            this._heartbeat();
+            this._leaderTimer = setInterval(this._heartbeat.bind(this), LEADER_HEARTBEAT_MS);
+
+            if(window.addEventListener){
+                this._unloadHandler = this._releaseLeadership.bind(this);
+                window.addEventListener('pagehide', this._unloadHandler);
+            }
+        }
+    };
+
+    /**
+     * Notifies other tabs of a session change, tabs relying on storage events are notified by the storage write
+     * @param {string} event - event name, see EVENTS
+     * @private
+     */
+    AuthContext.prototype._broadcast = function(event){
+        if(!this._channel){
+            return;
+        }
+
+        //other tabs read the change from storage, asynchronous storage must finish writing before they are told
+        var self = this;
+        var message = {type: event, source: this._tabId};
+        if(this._storage instanceof StorageMirror){
+            this._storage.flush().then(function(){
+                self._channel.postMessage(message);
+            });
+        }else{
+            this._channel.postMessage(message);
+        }
+    };
+
+    /**
+     * Translates a storage event on the authorization token into the matching session change
+     * @param {StorageEvent} e
+     * @private
+     */
+    AuthContext.prototype._onStorage = function(e){
+        if(e.storageArea !== this._baseStorage || (e.key !== null && e.key !== this._key(this.CONSTANTS.STORAGE.USER_TOKEN))){
+            return;
+        }
+
+        if(e.key === null || !e.newValue){
+            this._onSessionChanged(this.EVENTS.LOGGED_OUT);
+        }else{
+            this._onSessionChanged(e.oldValue ? this.EVENTS.TOKEN_RENEWED : this.EVENTS.TOKEN_ACQUIRED);
+        }
+    };
+
+    /**
+     * Brings this context in step with a session change made by another tab and emits the matching event
+     * @param {string} event - event name, see EVENTS
+     * @private
+     */
+    AuthContext.prototype._onSessionChanged = function(event){
+        if(event !== this.EVENTS.LOGGED_OUT && event !== this.EVENTS.TOKEN_ACQUIRED && event !== this.EVENTS.TOKEN_RENEWED){
+            return;
+        }
+
+        //asynchronous storage is reloaded to pick up the values written by the other tab
+        var self = this;
+        var apply = function(){
+            if(event === self.EVENTS.LOGGED_OUT){
+                self._clearSchedule();
+            }else{
+                self._scheduleExpiration();
+                self._scheduleRenewal();
+            }
+            self._emit(event);
+        };
+
+        if(this._storage instanceof StorageMirror){
+            this._storage.load().then(apply, apply);
+        }else{
+            apply();
+        }
+    };
+
+    /**
+     * Renews the leadership lease of this tab, or claims it when the lease of the leading tab has lapsed
+     * @private
+     */
+    AuthContext.prototype._heartbeat = function(){
+        var lease = this._readLease();
+        if(!lease || lease.id === this._tabId || lease.expires < Date.now()){
+            this._baseStorage.setItem(this._key(this.CONSTANTS.STORAGE.LEADER),
+                JSON.stringify({id: this._tabId, expires: Date.now() + LEADER_LEASE_MS}));
+        }
+    };
+
+    /**
+     * Provides indication if this tab leads automatic renewal, always true when tab sync is not active
+     * @returns {boolean}
+     * @private
+     */
+    AuthContext.prototype._isLeader = function(){
+        if(!this._leaderTimer){
+            return true;
+        }
+
+        this._heartbeat();
+        var lease = this._readLease();
+        return !!lease && lease.id === this._tabId;
+    };
+
+    /**
+     * Gives up the leadership lease so another tab can take over without waiting for it to lapse
+     * @private
+     */
+    AuthContext.prototype._releaseLeadership = function(){
+        var lease = this._readLease();
+        if(lease && lease.id === this._tabId){
+            this._baseStorage.removeItem(this._key(this.CONSTANTS.STORAGE.LEADER));
+        }
+    };
+
+    /**
+     * Reads the current leadership lease, the lease is shared through the unencrypted base storage
+     * @returns {object} id of the leading tab and lease expiration, null if no lease is held
+     * @private
+     */
+    AuthContext.prototype._readLease = function(){
+        try{
+            return JSON.parse(this._baseStorage.getItem(this._key(this.CONSTANTS.STORAGE.LEADER)));
+        }catch(e){
+            return null;
+        }
+    };
+
+    /**
+     * Schedules the tokenExpired event for the expiration of the held authorization token
+     * @private
+     */
+    AuthContext.prototype._scheduleExpiration = function(){
+        clearTimeout(this._expirationTimer);
+        this._expirationTimer = null;
+        if(this._disposed){
+            return;
+        }
+
+        var remaining = this.getTokenExpirationInSeconds();
+        if(!this.getToken() || isNaN(remaining)){
+            return;
+        }
+
+        var self = this;
+        //timers overflow beyond 2^31-1 milliseconds, re-evaluate once the maximum delay passes
+        var delay = Math.min(Math.max(remaining, 0) * 1000, 2147483647);
+        this._expirationTimer = setTimeout(function(){
+            if(self.isTokenExpired()){
+                self._expirationTimer = null;
+                self._emit(self.EVENTS.TOKEN_EXPIRED);
+            }else{
+                self._scheduleExpiration();
+            }
+        }, delay);
+    };
+
+    /**
+     * clean up window.location.hash
+     * @param {string} [hash] - hash to clean up in place of window.location.hash
+     * @returns {string}
+     * @private
+     */
+    AuthContext.prototype._getHash = function(hash){
+        hash = typeof hash === 'string' ? hash : window.location.hash;
+        if (hash.indexOf('#/') > -1) {
+            hash = hash.substring(hash.indexOf('#/') + 2);
+        } else if (hash.indexOf('#') > -1) {
+            hash = hash.substring(1);
+        }
+        return hash;
+    };
+
+
+    /**
+     * Reads the azure response parameters from the window location, the implicit flow responds within
+     * the hash while the authorization code flow responds within the query string
+     * @param {Location} [location] - location to read in place of window.location
+     * @returns {object}
+     * @private
+     */
+    AuthContext.prototype._getCallbackParameters = function(location){
+        location = location || window.location;
+        if(this.config.flow === this.FLOW.CODE){
+            return this._deserialize(location.search.substring(1));
+        }
+        return this._deserialize(this._getHash(location.hash));
+    };
+
+    /**
+     * begin to eval the request data,
+     * @param obj
+     * @private
+     */
+    AuthContext.prototype._getRequestInfo = function(obj){
+        var requestInfo = {
+            valid: false,
+            stateMatch: false,
+            stateResponse: '',
+            requestType: this.REQUEST_TYPE.UNKNOWN
+        };
+        if (obj) {
+            obj['requestInfo'] = requestInfo;
+            if (this._isCallback(obj)) {
+
+                obj.requestInfo.valid = true;
+
+                // which call
+                var stateResponse = '';
+                if (obj.hasOwnProperty('state')) {
+                    stateResponse = obj.state;
+                } else {
+                    return obj;
+                }
+
+                obj.requestInfo.stateResponse = stateResponse;
+
+                // make sure the request is in relation to this context instance's request
+                // who knows how this would not be true given the singleton but just in case, possibly more than one window/tab open,
+                // or maybe someone is trying a hack.
+                //
+                if (obj.requestInfo.stateResponse === this._get(this.CONSTANTS.STORAGE.STATE_LOGIN)) {
+                    obj.requestInfo.requestType = this.REQUEST_TYPE.LOGIN;
+                    obj.requestInfo.stateMatch = true;
+                    return obj;
+                }
+
+                if (obj.requestInfo.stateResponse === this._get(this.CONSTANTS.STORAGE.STATE_POPUP)) {
+                    obj.requestInfo.requestType = this.REQUEST_TYPE.LOGIN_POPUP;
+                    obj.requestInfo.stateMatch = true;
+                    return obj;
+                }
+
+                if (obj.requestInfo.stateResponse === this._get(this._renewStateKey(obj.requestInfo.stateResponse))) {
+                    obj.requestInfo.requestType = this.REQUEST_TYPE.RENEW_TOKEN;
+                    obj.requestInfo.stateMatch = true;
+                    return obj;
+                }
+            }
+        }
+        return obj;
+    };
+
+    /**
+     * Determines if this is a response from azure based on the window.location.hash contents
+     * @param {object} obj
+     * @returns {boolean}
+     * @private
+     */
+    AuthContext.prototype._isCallback = function(obj){
+        return (obj.hasOwnProperty(this.CONSTANTS.ERROR_DESCRIPTION) ||
+        obj.hasOwnProperty(this.CONSTANTS.ACCESS_TOKEN) ||
+        obj.hasOwnProperty(this.CONSTANTS.ID_TOKEN) ||
+        obj.hasOwnProperty(this.CONSTANTS.CODE));
+    };
+
+    /**
+     * Processes an evaluated azure response, redeeming an authorization code when present and
+     * exchanging the resulting id token with the authorization service
+     * @param {object} obj - azure response parameters, with request info attached
+     * @param {authorizeCallback} callback
+     * @param {object} [request] - nonce and code verifier of a silent renewal, logins read theirs from storage
+     * @private
+     */
+    AuthContext.prototype._handleAzureResponse = function(obj, callback, request){
+        //determine if there was an error in the azure pipeline, error values are set to storage for later retrieval
+        if(obj.hasOwnProperty(this.CONSTANTS.ERROR) || obj.hasOwnProperty(this.CONSTANTS.ERROR_DESCRIPTION)){
+            var azureError = obj[this.CONSTANTS.ERROR] || null;
+            var azureErrorDescription = obj[this.CONSTANTS.ERROR_DESCRIPTION] || null;
+
+            //silent renew reports the errors calling for an interactive login by their own codes
+            var code = this.AUTH_ERROR.AZURE_ERROR;
+            if(obj.requestInfo.requestType === this.REQUEST_TYPE.RENEW_TOKEN){
+                for(var key in this.SILENT_RENEW_ERROR){
+                    if(this.SILENT_RENEW_ERROR.hasOwnProperty(key) && this.SILENT_RENEW_ERROR[key] === azureError){
+                        code = azureError;
+                    }
+                }
+            }
+
+            this._fail(code, azureErrorDescription || azureError, callback, {
+                azureError: azureError,
+                azureErrorDescription: azureErrorDescription,
+                correlationId: this._getCorrelationId(obj)
+            });
+            return;
+        }
+
+        if(!obj.requestInfo.stateMatch){
+            this._fail(this.AUTH_ERROR.STATE_MISMATCH, 'State mismatch, state: ' + obj.requestInfo.stateResponse, callback);
+            return;
+        }
+
+        //silent renewals hold their nonce and verifier in memory, renewals in other tabs must not overwrite them.
+        //a login persists them across the redirect, they are single use and must not be accepted again
+        var nonce, verifier;
+        if(request){
+            nonce = request.nonce;
+            verifier = request.verifier;
+        }else{
+            nonce = this._get(this.CONSTANTS.STORAGE.NONCE_IDTOKEN);
+            verifier = this._get(this.CONSTANTS.STORAGE.PKCE_VERIFIER_LOGIN);
+            this._purge(this.CONSTANTS.STORAGE.NONCE_IDTOKEN);
+            this._purge(this.CONSTANTS.STORAGE.PKCE_VERIFIER_LOGIN);
+        }
+
+        //authorization code flow, the code must first be redeemed for the id token
+        if(obj.hasOwnProperty(this.CONSTANTS.CODE)){
+            var self = this;
+            var redirectUri = obj.requestInfo.requestType === this.REQUEST_TYPE.RENEW_TOKEN ?
+                this.config.azureSilentRedirectUri : this.config.azureLoginRedirectUri;
+
+            this._redeemAuthorizationCode(obj[this.CONSTANTS.CODE], redirectUri, verifier, function(error, azureToken, details){
+                if(error){
+                    self._fail(self.AUTH_ERROR.CODE_REDEMPTION_FAILED, error, callback, details);
+                    return;
+                }
+                self._acquireAuthorization(azureToken, nonce, callback);
+            });
+            return;
+        }
+
+        this._acquireAuthorization(obj[this.CONSTANTS.ID_TOKEN], nonce, callback);
+    };
+
+    /**
+     * Redeems an authorization code at the azure token endpoint utilizing the PKCE code verifier of the request
+     * @param {string} code - authorization code returned by azure
+     * @param {string} redirectUri - redirect uri the authorization code was issued to
+     * @param {string} verifier - PKCE code verifier the authorization code was requested with
+     * @param {function} callback - receives an error description or the resulting id token, along with the azure error details on failure
+     * @private
+     */
+    AuthContext.prototype._redeemAuthorizationCode = function(code, redirectUri, verifier, callback){
+        var self = this;
+        if(!verifier){
+            callback('PKCE code verifier not found', null);
+            return;
+        }
+
+        var buffer = [];
+        buffer.push('grant_type=authorization_code');
+        buffer.push('client_id=' + encodeURIComponent(this.config.azureAppID));
+        buffer.push('code=' + encodeURIComponent(code));
+        buffer.push('redirect_uri=' + encodeURIComponent(redirectUri));
+        buffer.push('code_verifier=' + encodeURIComponent(verifier));
+        if(this.config.azureEndpointVersion === this.ENDPOINT_VERSION.V2){
+            buffer.push('scope=' + encodeURIComponent(this.config.scopes.join(' ')));
+        }
+
+        var idTokenKey = this.CONSTANTS.ID_TOKEN;
+        this._post(this._generateAzureTokenURL(), "application/x-www-form-urlencoded", buffer.join('&'),
+            function(status, statusText, responseText){
+                var resp = null;
+                if(responseText){
+                    try{
+                        resp = JSON.parse(responseText);
+                    }catch(e){
+                        resp = null;
+                    }
+                }
+
+                if(status === 200 && resp && resp[idTokenKey]){
+                    callback(null, resp[idTokenKey]);
+                }else{
+                    //the token endpoint reports its errors as error, error_description and correlation_id
+                    resp = resp || {};
+                    console.log("Authorization code could not be redeemed, Status Code: %d, %s", status, statusText);
+                    callback("Authorization code could not be redeemed", null, {
+                        azureError: resp[self.CONSTANTS.ERROR],
+                        azureErrorDescription: resp[self.CONSTANTS.ERROR_DESCRIPTION],
+                        status: status,
+                        correlationId: self._getCorrelationId(resp)
+                    });
+                }
+            });
+    };
+
+    /**
+     * Submits the azure provided authentication token to the authorization service for an authorization token
+     * @param {string} azureToken - id token issued by azure
+     * @param {string} nonce - nonce the token was requested with
+     * @param {authorizeCallback} callback
+     * @private
+     */
+    AuthContext.prototype._acquireAuthorization = function(azureToken, nonce, callback){
+        //make sure token was passed
+        if(!azureToken){
+            this._fail(this.AUTH_ERROR.TOKEN_MISSING, 'authorization not available', callback);
+            return;
+        }
+
+        var self = this;
+        if(this.config.validateIdToken && !this._tenantIdLookedUp){
+            this._lookupTenantId(function(){
+                self._acquireAuthorization(azureToken, nonce, callback);
+            });
+            return;
+        }
+
+        if(this.config.validateIdToken){
+            var validation = this._validateIdToken(azureToken, nonce);
+            if(validation.error){
+                this._fail(validation.error, validation.description, callback);
+                return;
+            }
+        }
+
+        //the tenant restrictions apply even when the id token claims are not validated
+        var jwt = this._decodeJwt(azureToken);
+        var claims = jwt && jwt.payload && typeof jwt.payload === 'object' ? jwt.payload : {};
+        if(!this._isTenantAllowed(claims.tid, claims)){
+            this._fail(this.TOKEN_VALIDATION_ERROR.TENANT, 'Invalid tenant, tid: ' + claims.tid, callback);
+            return;
+        }
+
+        if(this.config.validateSignature){
+            this._verifyIdTokenSignature(azureToken, function(error, description){
+                if(error){
+                    self._fail(error, description, callback);
+                    return;
+                }
+                self._submitAuthorization(azureToken, callback);
+            });
+            return;
+        }
+
+        this._submitAuthorization(azureToken, callback);
+    };
+
+    /**
+     * Posts a validated azure token to the authorization service login endpoint
+     * @param {string} azureToken - id token issued by azure
+     * @param {authorizeCallback} callback
+     * @private
+     */
+    AuthContext.prototype._submitAuthorization = function(azureToken, callback){
+        var self = this;
+        var jwt = this._decodeJwt(azureToken);
+        var tenantId = jwt && jwt.payload && jwt.payload.tid ? jwt.payload.tid : null;
+
+        this._post(this.config.authorizationServiceLoginUri, "application/json; charset=utf-8",
+            JSON.stringify({authorization_token: azureToken, contexts: this.config.authorizationContexts, tenant_id: tenantId}),
+            function(status, statusText, responseText){
+                self._handleServiceResponse(status, statusText, responseText, function(error, token){
+                    if(!error){
+                        if(tenantId){
+                            self._store(self.CONSTANTS.STORAGE.TENANT_ID, tenantId);
+                        }else{
+                            self._purge(self.CONSTANTS.STORAGE.TENANT_ID);
+                        }
+                    }
+                    callback(error, token);
+                });
+            });
+    };
+
+    /**
+     * deserialize an object from querystring formatted data
+     * @param {string} data
+     * @returns {object}
+     * @private
+     */
+    AuthContext.prototype._deserialize = function (data) {
+        var match,
+            pl = /\+/g,  // Regex for replacing addition symbol with a space
+            search = /([^&=]+)=([^&]*)/g,
+            decode = function (s) {
+                return decodeURIComponent(s.replace(pl, ' '));
+            },
+            obj = {};
+        match = search.exec(data);
+        while (match) {
+            obj[decode(match[1])] = decode(match[2]);
+            match = search.exec(data);
+        }
+        return obj;
+    };
+
+    /**
+     * Decodes the segments of a JWT without verifying its signature
+     * @param {string} token - encoded JWT
+     * @returns {object} header, payload and signature of the token, null if the token is malformed
+     * @private
+     */
+    AuthContext.prototype._decodeJwt = function(token){
+        var segments = typeof token === 'string' ? token.split('.') : [];
+        if(segments.length !== 3){
+            return null;
+        }
+
+        try{
+            return {
+                header: JSON.parse(this._base64UrlDecode(segments[0])),
+                payload: JSON.parse(this._base64UrlDecode(segments[1])),
+                signature: segments[2],
+                signingInput: segments[0] + '.' + segments[1]
+            };
+        }catch(e){
+            return null;
+        }
+    };
+
+    /**
+     * Validates the claims of an azure issued id token against the configuration
+     * @param {string} idToken - encoded id token
+     * @param {string} nonce - nonce sent with the login request
+     * @returns {object} error code and description when a check fails, along with the decoded claims
+     * @private
+     */
+    AuthContext.prototype._validateIdToken = function(idToken, nonce){
+        var jwt = this._decodeJwt(idToken);
+        if(!jwt || typeof jwt.payload !== 'object' || jwt.payload === null){
+            return {error: this.TOKEN_VALIDATION_ERROR.MALFORMED, description: 'id token could not be decoded'};
+        }
+
+        var claims = jwt.payload;
+        var result = function(error, description){
+            return {error: error, description: description, claims: claims};
+        };
+
+        if(claims.aud !== this.config.azureAppID){
+            return result(this.TOKEN_VALIDATION_ERROR.AUDIENCE, 'Invalid audience, aud: ' + claims.aud);
+        }
+
+        var expectedTenant = this._getExpectedTenantId();
+        if(!claims.tid || (expectedTenant && claims.tid.toLowerCase() !== expectedTenant.toLowerCase())){
+            return result(this.TOKEN_VALIDATION_ERROR.TENANT, 'Invalid tenant, tid: ' + claims.tid);
+        }
+
+        if(claims.iss !== this._getExpectedIssuer(claims.tid)){
+            return result(this.TOKEN_VALIDATION_ERROR.ISSUER, 'Invalid issuer, iss: ' + claims.iss);
+        }
+
+        var now = Math.floor(Date.now() / 1000);
+        if(typeof claims.exp !== 'number' || now - this.config.clockSkew >= claims.exp){
+            return result(this.TOKEN_VALIDATION_ERROR.EXPIRED, 'Token expired, exp: ' + claims.exp);
+        }
+
+        if(typeof claims.nbf === 'number' && now + this.config.clockSkew < claims.nbf){
+            return result(this.TOKEN_VALIDATION_ERROR.NOT_YET_VALID, 'Token not yet valid, nbf: ' + claims.nbf);
+        }
+
+        if(!nonce || claims.nonce !== nonce){
+            return result(this.TOKEN_VALIDATION_ERROR.NONCE, 'Invalid nonce, nonce: ' + claims.nonce);
+        }
+
+        return result(null, null);
+    };
+
+    /**
+     * Verifies the RS256 signature of an azure issued id token against the tenant signing keys
+     * @param {string} idToken - encoded id token
+     * @param {function} callback - receives an error code and description, null values if the signature is valid
+     * @private
+     */
+    AuthContext.prototype._verifyIdTokenSignature = function(idToken, callback){
+        var self = this;
+        var jwt = this._decodeJwt(idToken);
+        if(!jwt || jwt.header.alg !== 'RS256' || !jwt.header.kid){
+            callback(this.TOKEN_VALIDATION_ERROR.SIGNATURE, 'Unsupported token signature, alg: ' + (jwt ? jwt.header.alg : null));
+            return;
+        }
+
+        this._getSigningKey(jwt.header.kid, function(error, key){
+            if(error){
+                callback(self.TOKEN_VALIDATION_ERROR.SIGNING_KEY, error);
+                return;
+            }
+
+            window.crypto.subtle.verify({name: 'RSASSA-PKCS1-v1_5'}, key,
+                self._base64UrlToBytes(jwt.signature), self._asciiBytes(jwt.signingInput)).then(function(valid){
+                if(valid){
+                    callback(null, null);
+                }else{
+                    callback(self.TOKEN_VALIDATION_ERROR.SIGNATURE, 'Invalid token signature, kid: ' + jwt.header.kid);
+                }
+            }, function(e){
+                callback(self.TOKEN_VALIDATION_ERROR.SIGNATURE, 'Token signature could not be verified, ' + e);
+            });
+        });
+    };
+
+    /**
+     * Retrieves a signing key by kid, the key set is reloaded when the kid is unknown as azure rolls its keys over
+     * @param {string} kid - key id from the token header
+     * @param {function} callback - receives an error description or the CryptoKey
+     * @private
+     */
+    AuthContext.prototype._getSigningKey = function(kid, callback){
+        if(this._signingKeys.hasOwnProperty(kid)){
+            callback(null, this._signingKeys[kid]);
+            return;
+        }
+
+        var self = this;
+        this._loadSigningKeys(function(error){
+            if(error){
+                callback(error, null);
+            }else if(self._signingKeys.hasOwnProperty(kid)){
+                callback(null, self._signingKeys[kid]);
+            }else{
+                callback('Signing key not found, kid: ' + kid, null);
+            }
+        });
+    };
+
+    /**
+     * Loads and imports the signing keys from the configured key set, replacing any cached keys
+     * @param {function} callback - receives an error description if the keys could not be loaded
+     * @private
+     */
+    AuthContext.prototype._loadSigningKeys = function(callback){
+        var self = this;
+        var importKeys = function(jwks){
+            var keys = (jwks && Array.isArray(jwks.keys) ? jwks.keys : []).filter(function(jwk){
+                return jwk.kty === 'RSA' && jwk.kid && (!jwk.use || jwk.use === 'sig');
+            });
+
+            Promise.all(keys.map(function(jwk){
+                return window.crypto.subtle.importKey('jwk', {kty: 'RSA', n: jwk.n, e: jwk.e, alg: 'RS256', ext: true},
+                    {name: 'RSASSA-PKCS1-v1_5', hash: {name: 'SHA-256'}}, false, ['verify']);
+            })).then(function(imported){
+                var signingKeys = {};
+                for(var i = 0; i < keys.length; i++){
+                    signingKeys[keys[i].kid] = imported[i];
+                }
+                self._signingKeys = signingKeys;
+                callback(null);
+            }, function(e){
+                callback('Signing keys could not be imported, ' + e);
+            });
+        };
+
+        if(this.config.jwks){
+            importKeys(this.config.jwks);
+            return;
+        }
+
+        this._send("GET", this._generateAzureKeysURL(), null, null, function(status, statusText, responseText){
+            var jwks = null;
+            if(status === 200 && responseText){
+                try{
+                    jwks = JSON.parse(responseText);
+                }catch(e){
+                    jwks = null;
+                }
+            }
+
+            if(jwks){
+                importKeys(jwks);
+            }else{
+                callback('Signing keys could not be retrieved, Status Code: ' + status);
+            }
+        });
+    };
+
+    /**
+     * Resolves the tenant id expected in the tid claim, null for the common and organizations authorities and
+     * for a domain name whose tenant id could not be looked up
+     * @returns {string}
+     * @private
+     */
+    AuthContext.prototype._getExpectedTenantId = function(){
+        if(this.config.azureTenantId){
+            return this.config.azureTenantId;
+        }
+        if(this._tenantId){
+            return this._tenantId;
+        }
+        if(this.config.azureTenant === this.AUTHORITY.CONSUMERS){
+            return CONSUMERS_TENANT_ID;
+        }
+        var guid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+        return guid.test(this.config.azureTenant) ? this.config.azureTenant : null;
+    };
+
+    /**
+     * Looks up the tenant id of an azureTenant domain name from the issuer within the tenant's OpenID metadata,
+     * once per context. Without it the tid claim is not pinned to the tenant, a failed lookup is logged.
+     * @param {function} callback - called once the lookup completes
+     * @private
+     */
+    AuthContext.prototype._lookupTenantId = function(callback){
+        var self = this;
+        if(this._getExpectedTenantId() || this.config.azureTenant === this.AUTHORITY.COMMON ||
+            this.config.azureTenant === this.AUTHORITY.ORGANIZATIONS){
+            this._tenantIdLookedUp = true;
+            callback();
+            return;
+        }
+
+        this._send("GET", this._generateAzureMetadataURL(), null, null, function(status, statusText, responseText){
+            var tenantId = null;
+            if(status === 200 && responseText){
+                try{
+                    var match = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i.exec(JSON.parse(responseText).issuer);
+                    tenantId = match ? match[0] : null;
+                }catch(e){
+                    tenantId = null;
+                }
+            }
+
+            self._tenantIdLookedUp = true;
+            self._tenantId = tenantId;
+            if(!tenantId){
+                console.log("Tenant id of %s could not be looked up, Status Code: %d, the tid claim is not pinned to the tenant",
+                    self.config.azureTenant, status);
+            }
+            callback();
+        });
+    };
+
+    /**
+     * Determines if users of a tenant may sign in, personal accounts are refused by the organizations authority.
+     * A token without a tid claim is refused whenever sign in is restricted to some tenants.
+     * @param {string} tenantId - tenant id from the token tid claim
+     * @param {object} claims - id token claims
+     * @returns {boolean}
+     * @private
+     */
+    AuthContext.prototype._isTenantAllowed = function(tenantId, claims){
+        if(typeof tenantId !== 'string' || tenantId.length == 0){
+            return !Array.isArray(this.config.allowedTenants) && typeof this.config.validateTenant !== 'function' &&
+                this.config.azureTenant !== this.AUTHORITY.ORGANIZATIONS;
+        }
+
+        if(this.config.azureTenant === this.AUTHORITY.ORGANIZATIONS && tenantId.toLowerCase() === CONSUMERS_TENANT_ID){
+            return false;
+        }
+
+        if(Array.isArray(this.config.allowedTenants)){
+            var allowed = this.config.allowedTenants.some(function(id){
+                return String(id).toLowerCase() === tenantId.toLowerCase();
+            });
+            if(!allowed){
+                return false;
+            }
+        }
+
+        if(typeof this.config.validateTenant === 'function'){
+            return !!this.config.validateTenant(tenantId, claims);
+        }
+        return true;
+    };
+
+    /**
+     * Resolves the issuer expected in the iss claim for a tenant
+     * @param {string} tenantId - tenant id from the token tid claim
+     * @returns {string}
+     * @private
+     */
+    AuthContext.prototype._getExpectedIssuer = function(tenantId){
+        if(this.config.azureIssuer){
+            return this.config.azureIssuer;
+        }
+        if(this.config.azureEndpointVersion === this.ENDPOINT_VERSION.V2){
+            return this.config.azureInstance.replace(/\/?$/, '/') + tenantId + '/v2.0';
+        }
+        return 'https://sts.windows.net/' + tenantId + '/';
+    };
+
+    /**
+     * Acquires a fresh azure token without user interaction by loading the azure login page with prompt=none
+     * within a hidden iframe, the token is read from the iframe once azure redirects back to the application
+     * @param {authorizeCallback} callback
+     * @private
+     */
+    AuthContext.prototype._renewSilently = function(callback){
+        var self = this;
+        var state = this._uuid();
+        var nonce = this._uuid();
+        var params = {
+            azureAppID: this.config.azureAppID,
+            azureLoginRedirectUri: this.config.azureSilentRedirectUri,
+            state: state
+        };
+
+        //the state is keyed by renewal, renewals in other tabs or windows of the origin run side by side
+        var stateKey = this._renewStateKey(state);
+        this._store(stateKey, state);
+        this._actionInProgress = true;
+
+        this._generateAzureRequestURL(params, nonce, 'none', function(error, url, verifier){
+            if(error){
+                self._purge(stateKey);
+                self._fail(self.AUTH_ERROR.PKCE_FAILURE, error, callback);
+                return;
+            }
+
+            var frame = document.createElement('iframe');
+            frame.setAttribute('name', self.CONSTANTS.RENEW_FRAME);
+            frame.setAttribute('aria-hidden', 'true');
+            frame.style.display = 'none';
+            document.body.appendChild(frame);
+
+            var poll, timeout;
+            var finish = function(){
+                clearInterval(poll);
+                clearTimeout(timeout);
+                if(frame.parentNode){
+                    frame.parentNode.removeChild(frame);
+                }
+                self._purge(stateKey);
+                self._silentRenewals.splice(self._silentRenewals.indexOf(cancel), 1);
+            };
+
+            var cancel = function(){
+                finish();
+                self._actionInProgress = false;
+                callback(new AuthError(self.AUTH_ERROR.DISPOSED, 'The context was disposed during the silent renewal'), null);
+            };
+            self._silentRenewals.push(cancel);
+
+            timeout = setTimeout(function(){
+                finish();
+                self._fail(self.SILENT_RENEW_ERROR.TIMEOUT,
+                    'Silent renew did not complete within ' + self.config.silentRenewTimeout + 'ms', callback);
+            }, self.config.silentRenewTimeout);
+
+            poll = self._watchWindow(frame.contentWindow, function(obj){
+                if(!obj){
+                    return; // frame went away, the timeout reports the failure
+                }
+                obj = self._getRequestInfo(obj);
+                finish();
+                self._handleAzureResponse(obj, callback, {nonce: nonce, verifier: verifier});
+            });
+
+            frame.setAttribute('src', url);
+        });
+    };
+
+    /**
+     * Opens an empty, centered popup window for the azure login page
+     * @returns {Window} the popup window, null if the popup was blocked
+     * @private
+     */
+    AuthContext.prototype._openPopup = function(){
+        var width = 483, height = 600;
+        var left = (window.screenX || 0) + Math.max(0, ((window.outerWidth || width) - width) / 2);
+        var top = (window.screenY || 0) + Math.max(0, ((window.outerHeight || height) - height) / 2);
+
+        try{
+            return window.open('about:blank', this.CONSTANTS.LOGIN_POPUP,
+                'width=' + width + ',height=' + height + ',top=' + top + ',left=' + left + ',location=yes,scrollbars=yes') || null;
+        }catch(e){
+            return null;
+        }
+    };
+
+    /**
+     * Navigates an opened popup to the azure login page and completes the login once azure redirects back
+     * @param {Window} popup - popup window opened by _openPopup
+     * @param {string} url - azure login URL
+     * @param {authorizeCallback} callback
+     * @private
+     */
+    AuthContext.prototype._loginWithPopup = function(popup, url, callback){
+        var self = this;
+        this._watchWindow(popup, function(obj){
+            if(!obj){
+                self._purge(self.CONSTANTS.STORAGE.STATE_POPUP);
+                self._fail(self.POPUP_ERROR.CLOSED, 'Login popup was closed before the login completed', callback);
+                return;
+            }
+
+            obj = self._getRequestInfo(obj);
+            self._purge(self.CONSTANTS.STORAGE.STATE_POPUP);
+            popup.close();
+            self._handleAzureResponse(obj, callback);
+        });
+
+        popup.location.href = url;
+    };
+
+    /**
+     * Watches a popup or iframe window until it is redirected back to the application with an azure response
+     * @param {Window} target - window to watch
+     * @param {function} callback - receives the azure response parameters, null if the window was closed
+     * @returns {number} interval id of the watch
+     * @private
+     */
+    AuthContext.prototype._watchWindow = function(target, callback){
+        var self = this;
+        var poll = setInterval(function(){
+            if(!target || target.closed){
+                clearInterval(poll);
+                callback(null);
+                return;
+            }
+
+            var location;
+            try{
+                location = target.location;
+                if(!location.href || location.href === 'about:blank'){
+                    return;
+                }
+            }catch(e){
+                return; // still on the azure origin
+            }
+
+            var obj = self._getCallbackParameters(location);
+            if(self._isCallback(obj)){
+                clearInterval(poll);
+                callback(obj);
+            }
+        }, 50);
+        return poll;
+    };
+
+    /**
+     * Generates the Azure Login URL for the configured flow including the nonce, for the authorization code flow
+     * a PKCE challenge is generated and its verifier kept by the caller for the code redemption
+     * @param {object} params - request parameters, see _generateAzureLoginURL
+     * @param {string} nonce - nonce expected within the resulting id token
+     * @param {string} prompt - optional azure prompt behavior, e.g. none, login, consent
+     * @param {function} callback - receives an error description or the generated URL, along with the PKCE code
+     * verifier for the authorization code flow
+     * @private
+     */
+    AuthContext.prototype._generateAzureRequestURL = function(params, nonce, prompt, callback){
+        var self = this;
+        var extra = '&nonce=' + encodeURIComponent(nonce) + (prompt ? '&prompt=' + encodeURIComponent(prompt) : '');
+
+        if(this.config.flow !== this.FLOW.CODE){
+            callback(null, this._generateAzureLoginURL('id_token', params) + extra);
+            return;
+        }
+
+        this._generatePkce().then(function(pkce){
+            callback(null, self._generateAzureLoginURL('code', params) + extra +
+                '&code_challenge=' + encodeURIComponent(pkce.challenge) +
+                '&code_challenge_method=S256', pkce.verifier);
+        }, function(e){
+            callback('PKCE challenge could not be generated, ' + e, null);
+        });
+    };
+
+    /**
+     * Returns the user to the page the redirect login started from
+     * @private
+     */
+    AuthContext.prototype._restoreLoginRequest = function(){
+        var target = this._get(this.CONSTANTS.STORAGE.LOGIN_REQUEST);
+        this._purge(this.CONSTANTS.STORAGE.LOGIN_REQUEST);
+        if(!target || !this.config.restoreLoginRequest || target === window.location.href){
+            return;
+        }
+
+        //the stored page must not be able to send the user off to another site
+        var url = this._parseUrl(target);
+        if(url.protocol !== window.location.protocol || url.host !== window.location.host){
+            console.log("Login request %s is not of the same origin and is not restored", target);
+            return;
+        }
+
+        this.config.navigate(url.href);
+    };
+
+    /**
+     * Navigates to a page of this origin, a page of the current document is restored within the address bar only
+     * so no reload takes place, hash routed pages are navigated to through their hash
+     * @param {string} url - absolute URL
+     * @private
+     */
+    AuthContext.prototype._navigate = function(url){
+        var target = this._parseUrl(url);
+        var sameDocument = target.pathname === window.location.pathname && target.search === window.location.search;
+        if(sameDocument && !target.hash && window.history && window.history.replaceState){
+            window.history.replaceState(null, document.title, url);
+        }else{
+            window.location.replace(url);
+        }
+    };
+
+    /**
+     * Resolves a URL against the current location
+     * @param {string} url
+     * @returns {URL|HTMLAnchorElement} parsed URL, holding protocol, host, pathname, search, hash and href
+     * @private
+     */
+    AuthContext.prototype._parseUrl = function(url){
+        if(typeof URL === 'function'){
+            try{
+                return new URL(url, window.location.href);
+            }catch(e){
+                return {protocol: null, host: null, href: url};
+            }
+        }
+
+        var anchor = document.createElement('a');
+        anchor.href = url;
+        return anchor;
+    };
+
+    /**
+     * Prompts the user to login via redirect
+     *
+     * @param url
+     * @private
+     */
+    AuthContext.prototype._prompt = function(url){
+        if (url) {
+            window.location.replace(url);
+        } else{
+            throw new Error('Invalid url');
+        }
+    };
+
+    /**
+     *  Generates the Azure Login redirect URL based on configured settings and context
+     * @param responseType
+     * @param params
+     * @param resource - v1 endpoint only, the v2 endpoint requests the configured scopes instead
+     * @returns {string}
+     * @private
+     */
+    AuthContext.prototype._generateAzureLoginURL = function (responseType, params ,resource) {
+
+        var buffer = [];
+        buffer.push('?response_type=' + responseType);
+        buffer.push('client_id=' + encodeURIComponent(params.azureAppID));
+        if (this.config.azureEndpointVersion === this.ENDPOINT_VERSION.V2) {
+            buffer.push('scope=' + encodeURIComponent(this.config.scopes.join(' ')));
+        } else if (resource) {
+            buffer.push('resource=' + encodeURIComponent(resource));
+        }
+
+        buffer.push('redirect_uri=' + encodeURIComponent(params.azureLoginRedirectUri));
+        buffer.push('state=' + encodeURIComponent(params.state));
+
+        if (params.hasOwnProperty('slice')) {
+            buffer.push('slice=' + encodeURIComponent(params.slice));
+        }
+
+        if (params.hasOwnProperty('additionalQueryParameter')) {
+            buffer.push(params.additionalQueryParameter);
+        }
+
+        var azureRequestId = params.azureRequestId ? params.azureRequestId : this._uuid();
+        buffer.push('client-request-id=' + encodeURIComponent(azureRequestId));
+
+        var qs = buffer.join('&');
+
+
+        var urlNavigate = this._generateAzureEndpointURL('authorize') + qs;
+
+        return urlNavigate;
+    };
+
+    /**
+     * Generates the Azure Logout redirect URL based on configured settings and context
+     * @returns {string}
+     * @private
+     */
+    AuthContext.prototype._generateAzureLogoutURL = function(){
+        var logout = '';
+        if (this.config.azureLogoutRedirectUri) {
+            logout = 'post_logout_redirect_uri=' + encodeURIComponent(this.config.azureLogoutRedirectUri);
+        }
+        return this._generateAzureEndpointURL('logout') + '?' + logout;
+    };
+
+    /**
+     * Generates the Azure token endpoint URL used to redeem authorization codes
+     * @returns {string}
+     * @private
+     */
+    AuthContext.prototype._generateAzureTokenURL = function(){
+        return this._generateAzureEndpointURL('token');
+    };
+
+    /**
+     * Generates the URL of the tenant signing key set for the configured endpoint version
+     * @returns {string}
+     * @private
+     */
+    AuthContext.prototype._generateAzureKeysURL = function(){
+        if(this.config.jwksUri){
+            return this.config.jwksUri;
+        }
+        var version = this.config.azureEndpointVersion === this.ENDPOINT_VERSION.V2 ? 'v2.0/' : '';
+        return this.config.azureInstance + this.config.azureTenant + '/discovery/' + version + 'keys';
+    };
+
+    /**
+     * Generates the URL of the tenant OpenID metadata for the configured endpoint version
+     * @returns {string}
+     * @private
+     */
+    AuthContext.prototype._generateAzureMetadataURL = function(){
+        var version = this.config.azureEndpointVersion === this.ENDPOINT_VERSION.V2 ? 'v2.0/' : '';
+        return this.config.azureInstance + this.config.azureTenant + '/' + version + '.well-known/openid-configuration';
+    };
+
+    /**
+     * Generates the URL of an Azure oauth2 endpoint for the configured endpoint version
+     * @param {string} endpoint - endpoint name, authorize, token or logout
+     * @returns {string}
+     * @private
+     */
+    AuthContext.prototype._generateAzureEndpointURL = function(endpoint){
+        var version = this.config.azureEndpointVersion === this.ENDPOINT_VERSION.V2 ? 'v2.0/' : '';
+        return this.config.azureInstance + this.config.azureTenant + '/oauth2/' + version + endpoint;
+    };
+
+    /**
+     * Stores a value by key into the configured client storage medium
+     * @param (string} key - key to which the storage item will be referenced
+     * @param {string} value - value to store
+     * @private
+     */
+    AuthContext.prototype._store = function(key, value){
+        this._storage.setItem(this._key(key), value);
+    };
+
+
+    /**
+     * Retrieves a value form the configured storage medium
+     * @param {string} key - key to which to retrieve the value form storage for
+     * @private
+     */
+    AuthContext.prototype._get = function(key){
+        return this._storage.getItem(this._key(key));
+    };
+
+    /**
+     * Removes a value from the clinet storage medium
+     * @param {string} key - key of item to be removed from storage
+     * @private
+     */
+    AuthContext.prototype._purge = function(key){
+        this._storage.removeItem(this._key(key));
+    };
+
+    /**
+     * Resolves the namespaced storage key of a storage constant
+     * @param {string} key - storage constant, see CONSTANTS.STORAGE
+     * @returns {string}
+     * @private
+     */
+    AuthContext.prototype._key = function(key){
+        return this._namespace + key;
+    };
+
+    /**
+     * Resolves the storage constant holding the state of a silent renewal, each renewal keeps its own
+     * @param {string} state - state the renewal was requested with
+     * @returns {string}
+     * @private
+     */
+    AuthContext.prototype._renewStateKey = function(state){
+        return this.CONSTANTS.STORAGE.STATE_RENEW + '.' + state;
+    };
+
+    /**
+     * Moves values persisted under the un-namespaced keys of earlier versions into this context's namespace,
+     * only Web Storage held values under those keys. Keys added since may be held by other libraries of the
+     * origin and are never moved.
+     * @private
+     */
+    AuthContext.prototype._migrateStorage = function(){
+        if (!this._isBaseStorage('localStorage') && !this._isBaseStorage('sessionStorage')) {
+            return;
+        }
+
+        for (var i = 0; i < LEGACY_STORAGE_KEYS.length; i++) {
+            var name = LEGACY_STORAGE_KEYS[i];
+            var legacy = this._baseStorage.getItem(name);
+            if (legacy === null) {
+                continue;
+            }
+
+            if (this._get(name) === null) {
+                this._store(name, legacy);
+            }
+            this._baseStorage.removeItem(name);
+        }
+    };
+
+    /**
+     * Determines if the base storage is the named Web Storage area
+     * @param {string} name - 'localStorage' or 'sessionStorage'
+     * @returns {boolean}
+     * @private
+     */
+    AuthContext.prototype._isBaseStorage = function(name){
+        try {
+            return !!window[name] && this._baseStorage === window[name];
+        } catch (e) {
+            return false;
+        }
+    };
+
+    /**
+     * Creates the transport named by the transport configuration
+     * @param {string|transport} transport
+     * @returns {transport}
+     * @private
+     */
+    AuthContext.prototype._createTransport = function(transport){
+        if (typeof transport === 'object') {
+            if (typeof transport.send !== 'function') {
+                throw new Error("Transport must implement send");
+            }
+            return transport;
+        }
+
+        if (transport.toLowerCase() === 'fetch') {
+            if (typeof window.fetch !== 'function' || typeof Promise === 'undefined') {
+                throw new Error("fetch is not supported");
+            }
+            return new FetchTransport();
+        }
+
+        return new XhrTransport();
+    };
+
+    /**
+     * Creates the storage adapter named by the cacheLocation configuration, Web Storage falls back to cookie
+     * storage, or memory storage when cookies are disabled, where the browser does not support it
+     * @param {string|storageAdapter} cacheLocation
+     * @returns {storageAdapter}
+     * @private
+     */
+    AuthContext.prototype._createStorage = function(cacheLocation){
+        if (typeof cacheLocation === 'object') {
+            if (typeof cacheLocation.getItem !== 'function' || typeof cacheLocation.setItem !== 'function' ||
+                typeof cacheLocation.removeItem !== 'function') {
+                throw new Error("Storage adapter must implement getItem, setItem and removeItem");
+            }
+            return cacheLocation;
+        }
+
+        var location = cacheLocation.toLowerCase();
+        if (location === 'memory') {
+            return new MemoryStorage();
+        }
+
+        if (location === 'cookie') {
+            return new CookieStorage();
+        }
+
+        if (location === 'indexeddb') {
+            if (!window.indexedDB || typeof Promise === 'undefined') {
+                throw new Error("IndexedDB is not supported");
+            }
+            return new IndexedDBStorage();
+        }
+
+        if (location.substring(0, 5) === 'local' && this._supportsLocalStorage()) {
+            return window.localStorage;
+        }
+
+        if (location.substring(0, 5) !== 'local' && this._supportsSessionStorage()) {
+            return window.sessionStorage;
+        }
+
+        console.log("%s is not supported, falling back to cookie storage", cacheLocation);
+        return (typeof navigator === 'undefined' || navigator.cookieEnabled) ? new CookieStorage() : new MemoryStorage();
+    };
+
+    /**
+     * Lists the storage keys holding encrypted values, the leadership lease is shared between tabs unencrypted
+     * @returns {String[]}
+     * @private
+     */
+    AuthContext.prototype._getEncryptedKeys = function(){
+        var keys = [];
+        for(var key in this.CONSTANTS.STORAGE){
+            if(this.CONSTANTS.STORAGE.hasOwnProperty(key) && key !== 'LEADER'){
+                keys.push(this._key(this.CONSTANTS.STORAGE[key]));
+            }
+        }
+        return keys;
+    };
+
+    /**
+     * Runs a function once the configured storage is ready, immediately when the storage is synchronous
+     * @param {function} fn
+     * @private
+     */
+    AuthContext.prototype._whenReady = function(fn){
+        if (!this._ready) {
+            fn();
+            return;
+        }
+
+        this._ready.then(fn, function(e){
+            console.log("Storage could not be loaded, %s", e);
+            fn();
+        });
+    };
+
+    /**
+     * Determines if the client can support local storage
+     * @returns {boolean}
+     * @private
+     */
+    AuthContext.prototype._supportsLocalStorage = function () {
+        try {
+            var supportsLocalStorage = 'localStorage' in window && window['localStorage'];
+            if (supportsLocalStorage) {
+                window.localStorage.setItem('storageTest', '');
+                window.localStorage.removeItem('storageTest');
+            }
+            return supportsLocalStorage;
+        } catch (e) {
+            return false;
+        }
+    };
+
+    /**
+     * Determines if the clinet can support session storage
+     * @returns {boolean}
+     * @private
+     */
+    AuthContext.prototype._supportsSessionStorage = function () {
+        try {
+            var supportsSessionStorage = 'sessionStorage' in window && window['sessionStorage'];
+            if (supportsSessionStorage) {
+                window.sessionStorage.setItem('storageTest', '');
+                window.sessionStorage.removeItem('storageTest');
+            }
+            return supportsSessionStorage;
+        } catch (e) {
+            return false;
+        }
+    };
+
     /**
-     * Extracts the User token to the caller
-     * @returns {string}
+     * Determines if the client supports the WebCrypto api needed for PKCE
+     * @returns {boolean}
+     * @private
      */
-    AuthContext.prototype.getToken = function(){
-        return this._get(this.CONSTANTS.STORAGE.USER_TOKEN);
+    AuthContext.prototype._supportsWebCrypto = function () {
+        try {
+            return !!(window.crypto && window.crypto.subtle && window.crypto.getRandomValues);
+        } catch (e) {
+            return false;
+        }
     };
 
     /**
-     * Extracts the user information to the caller
-     * @returns {object}
+     * Records a failed request to storage for later retrieval and notifies the caller
+     * @param {string} error - error code
+     * @param {string} description - error description
+     * @param {authorizeCallback} callback
+     * @param {object} [details] - azure error, status and correlation id, see AuthError
+     * @private
      */
-    AuthContext.prototype.getUserInformation = function(){
-        if(this._config.storeToken) {
-            return JSON.parse(this._get(this.CONSTANTS.STORAGE.USER_OBJ));
-        }else{
-            return null;
+    AuthContext.prototype._fail = function(error, description, callback, details){
+        if(details && details.azureErrorDescription && !details.aadsts){
+            details.aadsts = this.describeError(details.azureErrorDescription);
         }
-    };
-
-    AuthContext.prototype.isTokenExpired = function(){
-        return (parseInt(this._get(this.CONSTANTS.STORAGE.TOKEN_EXPIRATION)) - Math.floor(Date.now() / 1000)) > 0
-    };
 
-    AuthContext.prototype.getTokenExpirationInSeconds = function(){
-        return (parseInt(this._get(this.CONSTANTS.STORAGE.TOKEN_EXPIRATION)) - Math.floor(Date.now() / 1000))
+        var authError = new AuthError(error, description, details);
+        this._store(this.CONSTANTS.STORAGE.ERROR, error);
+        this._store(this.CONSTANTS.STORAGE.ERROR_DESCRIPTION, description);
+        this._store(this.CONSTANTS.STORAGE.ERROR_DETAILS, JSON.stringify({
+            azureError: authError.azureError,
+            azureErrorDescription: authError.azureErrorDescription,
+            status: authError.status,
+            correlationId: authError.correlationId,
+            aadsts: authError.aadsts
+        }));
+        this._actionInProgress = false;
+        callback(authError, null);
     };
 
     /**
-     * Logs the users out and destroys all persisted data
-     * @param {authorizeCallback} callback
+     * Reads the correlation id of an azure error, from the correlation_id parameter or the error description
+     * @param {object} obj - azure error parameters
+     * @returns {string} null if azure did not report one
+     * @private
      */
-    AuthContext.prototype.logout = function(callback){
-        //purge all known values in storage
-        for(var key in this.CONSTANTS.STORAGE){
-            if(this.CONSTANTS.STORAGE.hasOwnProperty(key)){
-                this._purge(this.STORAGE['key']);
-            }
-        }
-
-        // if configured logout of the global azure session
-        if(this.config.logoutGlobalAzure){
-            this.promptUser(this._generateAzureLogoutURL());
+    AuthContext.prototype._getCorrelationId = function(obj){
+        if(obj.correlation_id){
+            return obj.correlation_id;
         }
 
-        if(callback && typeof callback === 'function'){
-            callback(null, null);
-        }
+        var match = /Correlation ID:\s*([0-9a-f-]+)/i.exec(obj[this.CONSTANTS.ERROR_DESCRIPTION] || '');
+        return match ? match[1] : null;
     };
 
-    // #PRIVATE SECTION
-
     /**
-     * clean up window.location.hash
-     * @returns {string}
+     * Reads the correlation id from an authorization service error response, as correlationId or correlation_id
+     * @param {string} respBody - response body
+     * @returns {string} null if the response does not hold one
      * @private
      */
-    AuthContext.prototype._getHash = function(){
-        var hash = window.location.hash;
-        if (hash.indexOf('#/') > -1) {
-            hash = hash.substring(hash.indexOf('#/') + 2);
-        } else if (hash.indexOf('#') > -1) {
-            hash = hash.substring(1);
+    AuthContext.prototype._getServiceCorrelationId = function(respBody){
+        try{
+            var resp = JSON.parse(respBody);
+            return resp.correlationId || resp.correlation_id || null;
+        }catch(e){
+            return null;
         }
-        return hash;
     };
 
-
     /**
-     * begin to eval the request data,
-     * @param obj
+     * Runs an asynchronous public operation reporting its outcome to both the optional callback and the
+     * returned Promise, the Promise is not returned on clients without Promise support
+     * @param {authorizeCallback} [callback]
+     * @param {function} executor - receives a complete function reporting an error or result to both the promise
+     * and callback, and a resolve function settling only the promise
+     * @returns {Promise}
      * @private
      */
-    AuthContext.prototype._getRequestInfo = function(obj){
-        var requestInfo = {
-            valid: false,
-            stateMatch: false,
-            stateResponse: '',
-            requestType: this.REQUEST_TYPE.UNKNOWN
+    AuthContext.prototype._deferred = function(callback, executor){
+        var notify = function(error, result){
+            if(typeof callback === 'function'){
+                callback(error, result);
+            }
         };
-        if (obj) {
-            obj['requestInfo'] = requestInfo;
-            if (this._isCallback(obj)) {
-
-                obj.requestInfo.valid = true;
 
-                // which call
-                var stateResponse = '';
-                if (obj.hasOwnProperty('state')) {
-                    stateResponse = obj.state;
-                } else {
-                    return obj;
-                }
-
-                obj.requestInfo.stateResponse = stateResponse;
+        if(typeof Promise === 'undefined'){
+            executor(notify, function(){});
+            return undefined;
+        }
 
-                // make sure the request is in relation to this context instance's request
-                // who knows how this would not be true given the singleton but just in case, possibly more than one window/tab open,
-                // or maybe someone is trying a hack.
-                //
-                if (obj.requestInfo.stateResponse === this._get(this.CONSTANTS.STORAGE.STATE_LOGIN)) {
-                    obj.requestInfo.requestType = this.REQUEST_TYPE.LOGIN;
-                    obj.requestInfo.stateMatch = true;
-                    return obj;
-                }
-            }
+        var self = this;
+        var promise = new Promise(function(resolve, reject){
+            self._whenReady(function(){
+                executor(function(error, result){
+                    if(error){
+                        reject(error);
+                    }else{
+                        resolve(result);
+                    }
+                    notify(error, result);
+                }, resolve);
+            });
+        });
+
+        //callback users handle failures through the callback, keep the rejection from being reported as unhandled
+        if(typeof callback === 'function'){
+            promise['catch'](function(){});
         }
-        return obj;
+
+        return promise;
     };
 
     /**
-     * Determines if this is a response from azure based on the window.location.hash contents
-     * @param {object} obj
-     * @returns {boolean}
+     * Issues an asynchronous POST request
+     * @param {string} url - target endpoint
+     * @param {string} contentType - content type of the request body
+     * @param {string} body - request body
+     * @param {function} callback - receives the response status, status text and response body
      * @private
      */
-    AuthContext.prototype._isCallback = function(obj){
-        return (obj.hasOwnProperty(this.CONSTANTS.ERROR_DESCRIPTION) ||
-        obj.hasOwnProperty(this.CONSTANTS.ACCESS_TOKEN) ||
-        obj.hasOwnProperty(this.CONSTANTS.ID_TOKEN));
+    AuthContext.prototype._post = function(url, contentType, body, callback){
+        this._send("POST", url, contentType, body, callback);
     };
 
     /**
-     * deserialize an object from querystring formatted data
-     * @param {string} data
-     * @returns {object}
+     * Issues an asynchronous request through the configured transport, retrying server errors, network errors
+     * and timeouts with exponential backoff. A request left without a response reports status 0.
+     * @param {string} method - http method
+     * @param {string} url - target endpoint
+     * @param {string} contentType - content type of the request body, null if no body is sent
+     * @param {string} body - request body
+     * @param {function} callback - receives the response status, status text and response body
      * @private
      */
-    AuthContext.prototype._deserialize = function (data) {
-        var match,
-            pl = /\+/g,  // Regex for replacing addition symbol with a space
-            search = /([^&=]+)=([^&]*)/g,
-            decode = function (s) {
-                return decodeURIComponent(s.replace(pl, ' '));
-            },
-            obj = {};
-        match = search.exec(data);
-        while (match) {
-            obj[decode(match[1])] = decode(match[2]);
-            match = search.exec(data);
-        }
-        return obj;
+    AuthContext.prototype._send = function(method, url, contentType, body, callback){
+        var self = this;
+        var attempts = 0;
+        var request = {
+            method: method,
+            url: url,
+            headers: contentType ? {"Content-Type": contentType} : {},
+            body: body,
+            timeout: this.config.requestTimeout
+        };
+
+        var attempt = function(){
+            self._transport.send(request, function(error, response){
+                //server errors and failures to get a response at all are worth another try, anything else is final
+                if((error || response.status >= 500) && attempts < self.config.requestRetries){
+                    var delay = self.config.requestRetryDelay * Math.pow(2, attempts);
+                    attempts++;
+                    setTimeout(attempt, delay);
+                    return;
+                }
+
+                if(error){
+                    console.log("Request to %s failed, %s", url, error.message);
+                    callback(0, error.message, null);
+                }else{
+                    callback(response.status, response.statusText, response.body);
+                }
+            });
+        };
+        attempt();
     };
 
     /**
-     * Prompts the user to login via redirect
-     *
-     * @param url
+     * Handle the response of an Authorization Service call, storing the mapped token, expiration and user
+     * @param status
+     * @param desc
+     * @param respBody
+     * @param {authorizeCallback} callback
      * @private
      */
-    AuthContext.prototype._prompt = function(url){
-        if (url) {
-            window.location.replace(url);
-        } else{
-            throw new Error('Invalid url');
+    AuthContext.prototype._handleServiceResponse = function(status, desc, respBody, callback){
+        if(status !== 200 || !respBody){
+            console.log("Authorization token could not be acquired, Status Code: %d, %s", status, desc);
+            var unavailable = status === 0 || status >= 500;
+            this._fail(unavailable ? this.AUTH_ERROR.SERVICE_UNAVAILABLE : this.AUTH_ERROR.AUTHORIZATION_FAILED,
+                unavailable ? "Authorization service is unavailable" : "Authorization token could not be acquired",
+                callback, {status: status, correlationId: this._getServiceCorrelationId(respBody)});
+            return;
+        }
+
+        var resp = this._mapServiceResponse(respBody);
+        if(resp.error){
+            console.log("Authorization service response is malformed, %s", resp.error);
+            this._fail(this.AUTH_ERROR.MALFORMED_RESPONSE, "Authorization service response is malformed, " + resp.error,
+                callback, {status: status, correlationId: this._getServiceCorrelationId(respBody)});
+            return;
+        }
+
+        this._store(this.CONSTANTS.STORAGE.USER_TOKEN, resp.token);
+        this._store(this.CONSTANTS.STORAGE.TOKEN_EXPIRATION, resp.expiresAt.toString());
+        if(resp.user){
+            this._store(this.CONSTANTS.STORAGE.USER_OBJ, JSON.stringify(resp.user));
+        }else{
+            this._purge(this.CONSTANTS.STORAGE.USER_OBJ);
+        }
+        if(resp.refreshToken){
+            this._store(this.CONSTANTS.STORAGE.REFRESH_TOKEN, resp.refreshToken);
         }
+        this._actionInProgress = false;
+        callback(null, resp.token);
     };
 
     /**
-     *  Generates the Azure Login redirect URL based on configured settings and context
-     * @param responseType
-     * @param resource
-     * @returns {string}
+     * Reads the token, expiration, user and refresh token out of an authorization service response through the
+     * configured response mapping, the expiration falls back to the exp claim when the token is a JWT
+     * @param {string} respBody - response body
+     * @returns {object} the mapped values, or an error description when the response does not hold them
      * @private
      */
-    AuthContext.prototype._generateAzureLoginURL = function (responseType, params ,resource) {
-
-        var buffer = [];
-        buffer.push('?response_type=' + responseType);
-        buffer.push('client_id=' + encodeURIComponent(params.azureAppID));
-        if (resource) {
-            buffer.push('resource=' + encodeURIComponent(resource));
+    AuthContext.prototype._mapServiceResponse = function(respBody){
+        var mapping = this.config.responseMapping;
+        var resp;
+        try{
+            resp = JSON.parse(respBody);
+        }catch(e){
+            return {error: 'response is not JSON'};
         }
 
-        buffer.push('redirect_uri=' + encodeURIComponent(params.azureLoginRedirectUri));
-        buffer.push('state=' + encodeURIComponent(params.state));
-
-        if (params.hasOwnProperty('slice')) {
-            buffer.push('slice=' + encodeURIComponent(params.slice));
+        var token = this._getPath(resp, mapping.token);
+        if(typeof token !== 'string' || token.length == 0){
+            return {error: 'missing token at ' + mapping.token};
         }
 
-        if (params.hasOwnProperty('additionalQueryParameter')) {
-            buffer.push(params.additionalQueryParameter);
+        var expiresAt = this._getPath(resp, mapping.expiresAt);
+        if(expiresAt === undefined || expiresAt === null){
+            var jwt = this._decodeJwt(token);
+            expiresAt = jwt && jwt.payload ? jwt.payload.exp : undefined;
+        }
+        expiresAt = typeof expiresAt === 'string' && expiresAt.trim().length > 0 ? Number(expiresAt) : expiresAt;
+        if(typeof expiresAt !== 'number' || !isFinite(expiresAt)){
+            return {error: 'missing expiration at ' + mapping.expiresAt + ' and no exp claim in the token'};
         }
 
-        var azureRequestId = params.azureRequestId ? params.azureRequestId : this._guid();
-        buffer.push('client-request-id=' + encodeURIComponent(azureRequestId));
-
-        var qs = buffer.join('&');
-
+        var user = this._getPath(resp, mapping.user);
+        if(user !== undefined && user !== null && typeof user !== 'object'){
+            return {error: 'user at ' + mapping.user + ' is not an object'};
+        }
 
-        var urlNavigate = this.config.azureInstance + this.config.azureTenant + '/oauth2/authorize' + qs;
+        var refreshToken = this._getPath(resp, mapping.refreshToken);
+        if(refreshToken !== undefined && refreshToken !== null && typeof refreshToken !== 'string'){
+            return {error: 'refresh token at ' + mapping.refreshToken + ' is not a string'};
+        }
 
-        return urlNavigate;
+        return {token: token, expiresAt: expiresAt, user: user || null, refreshToken: refreshToken || null};
     };
 
     /**
-     * Generates the Azure Logout redirect URL based on configured settings and context
-     * @returns {string}
+     * Normalizes the authorization contexts granted within the user object into context names mapped to their
+     * permissions, see permissionClaims
+     * @returns {object}
      * @private
      */
-    AuthContext.prototype._generateAzureLogoutURL = function(){
-        var logout = '';
-        if (this.config.azureLogoutRedirectUri) {
-            logout = 'post_logout_redirect_uri=' + encodeURIComponent(this.config.azureLogoutRedirectUri);
+    AuthContext.prototype._getGrants = function(){
+        var user = this.getUserInformation();
+        var contexts = user ? this._getPath(user, this.config.permissionClaims.contexts) : null;
+        var grants = {};
+        var permissions = function(value){
+            return Array.isArray(value) ? value : [];
+        };
+
+        if(Array.isArray(contexts)){
+            contexts.forEach(function(context){
+                if(typeof context === 'string'){
+                    grants[context] = [];
+                }else if(context && typeof context.name === 'string'){
+                    grants[context.name] = permissions(context.permissions);
+                }
+            });
+        }else if(contexts && typeof contexts === 'object'){
+            for(var name in contexts){
+                if(contexts.hasOwnProperty(name) && contexts[name]){
+                    grants[name] = permissions(contexts[name]);
+                }
+            }
         }
-        return this.config.azureInstance + this.config.azureTenant + '/oauth2/logout?' + logout;
+        return grants;
     };
 
     /**
-     * Stores a value by key into the configured client storage medium
-     * @param (string} key - key to which the storage item will be referenced
-     * @param {string} value - value to store
+     * Reads a value out of an object by a dot separated path
+     * @param {object} obj
+     * @param {string} path - e.g. 'user.exp'
+     * @returns {*} undefined when the path does not resolve
      * @private
      */
-    AuthContext.prototype._store = function(key, value){
-        this._storage.setItem(key,value);
+    AuthContext.prototype._getPath = function(obj, path){
+        var segments = path.split('.');
+        for(var i = 0; i < segments.length; i++){
+            if(obj === null || typeof obj !== 'object' || !obj.hasOwnProperty(segments[i])){
+                return undefined;
+            }
+            obj = obj[segments[i]];
+        }
+        return obj;
     };
 
-
     /**
-     * Retrieves a value form the configured storage medium
-     * @param {string} key - key to which to retrieve the value form storage for
+     * Generates a PKCE code verifier and its S256 code challenge according to the RFC7636 standard
+     * @returns {Promise} resolves to an object containing the verifier and challenge values
      * @private
      */
-    AuthContext.prototype._get = function(key){
-        return this._storage.getItem(key);
+    AuthContext.prototype._generatePkce = function(){
+        var self = this;
+        var buffer = new Uint8Array(32);
+        window.crypto.getRandomValues(buffer);
+        var verifier = this._base64UrlEncode(buffer);
+
+        return window.crypto.subtle.digest('SHA-256', this._asciiBytes(verifier)).then(function(digest){
+            return {
+                verifier: verifier,
+                challenge: self._base64UrlEncode(new Uint8Array(digest))
+            };
+        });
     };
 
     /**
-     * Removes a value from the clinet storage medium
-     * @param {string} key - key of item to be removed from storage
+     * Encodes a byte array as an unpadded base64url string
+     * @param {Uint8Array} bytes
+     * @returns {string}
      * @private
      */
-    AuthContext.prototype._purge = function(key){
-        this._storage.removeItem(key)
+    AuthContext.prototype._base64UrlEncode = function(bytes){
+        var binary = '';
+        for(var i = 0; i < bytes.length; i++){
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return window.btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
     };
 
     /**
-     * Determines if the client can support local storage
-     * @returns {boolean}
+     * Decodes an unpadded base64url string into a unicode string
+     * @param {string} value
+     * @returns {string}
      * @private
      */
-    AuthContext.prototype._supportsLocalStorage = function () {
-        try {
-            var supportsLocalStorage = 'localStorage' in window && window['localStorage'];
-            if (supportsLocalStorage) {
-                window.localStorage.setItem('storageTest', '');
-                window.localStorage.removeItem('storageTest');
-            }
-            return supportsLocalStorage;
-        } catch (e) {
-            return false;
+    AuthContext.prototype._base64UrlDecode = function(value){
+        //percent encode each byte so multi-byte utf-8 sequences are decoded correctly
+        var bytes = this._base64UrlToBytes(value);
+        var encoded = '';
+        for(var i = 0; i < bytes.length; i++){
+            encoded += '%' + ('0' + bytes[i].toString(16)).slice(-2);
         }
+        return decodeURIComponent(encoded);
     };
 
     /**
-     * Determines if the clinet can support session storage
-     * @returns {boolean}
+     * Decodes an unpadded base64url string into a byte array
+     * @param {string} value
+     * @returns {Uint8Array}
      * @private
      */
-    AuthContext.prototype._supportsSessionStorage = function () {
-        try {
-            var supportsSessionStorage = 'sessionStorage' in window && window['sessionStorage'];
-            if (supportsSessionStorage) {
-                window.sessionStorage.setItem('storageTest', '');
-                window.sessionStorage.removeItem('storageTest');
-            }
-            return supportsSessionStorage;
-        } catch (e) {
-            return false;
+    AuthContext.prototype._base64UrlToBytes = function(value){
+        var base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        while(base64.length % 4){
+            base64 += '=';
         }
+        return this._asciiBytes(window.atob(base64));
     };
 
     /**
-     * Handle XMLHttpRequest response from Authorization Service call
-     * @param status
-     * @param desc
-     * @param respBody
-     * @param {authorizeCallback} callback
+     * Converts a string of single byte characters, such as base64url or binary strings, into a byte array
+     * @param {string} value
+     * @returns {Uint8Array}
      * @private
      */
-    AuthContext.prototype._handleServiceResponse = function(status, desc, respBody, callback){
-        if(status === 200 && respBody){
-            var resp = JSON.parse(respBody);
-            this._store(this.CONSTANTS.STORAGE.USER_TOKEN, resp.token);
-            this._store(this.CONSTANTS.STORAGE.TOKEN_EXPIRATION, resp.user.exp.toString());
-            this._store(this.CONSTANTS.STORAGE.USER_OBJ, JSON.stringify(resp.user));
-            callback(null, resp.token);
-        }else{
-            console.log("Authorization token could not be acquired, Status Code: %d, %s", status, desc);
-            callback("Authorization token could not be acquired", null);
+    AuthContext.prototype._asciiBytes = function(value){
+        var bytes = new Uint8Array(value.length);
+        for(var i = 0; i < value.length; i++){
+            bytes[i] = value.charCodeAt(i);
         }
-
-        this._actionInProgress = false;
+        return bytes;
     };
 
     /**
@@ -689,6 +3605,68 @@ var AuthContext = (function(){
     };
 
 
+    /**
+     * Builds a named context with its own configuration and state, persisted values are namespaced by the name
+     * so contexts for the same app and tenant do not share a session
+     * @param {string} name - context name, 'default' builds the context returned by the constructor
+     * @param {configuration} config - settings to be utilized with this instance
+     * @returns {AuthContext}
+     */
+    AuthContext.create = function(name, config){
+        if(typeof name !== 'string' || name.trim().length == 0){
+            throw new Error("Context name must be defined");
+        }
+        if(contexts[name]){
+            throw new Error("A context named '" + name + "' already exists, dispose it before creating another");
+        }
+
+        creating = name;
+        try{
+            return new AuthContext(config);
+        }finally{
+            creating = null;
+        }
+    };
+
+    /**
+     * Provides the context registered under a name
+     * @param {string} [name] - context name, defaults to the default context
+     * @returns {AuthContext} null if no context of that name exists
+     */
+    AuthContext.get = function(name){
+        return contexts[name || DEFAULT_CONTEXT] || null;
+    };
+
+    /**
+     * Calls back with the context registered under a name, right away if it exists or once it is built
+     * @param {string} [name] - context name, defaults to the default context
+     * @param {function} callback - receives the context
+     * @returns {function} cancels the callback if it has not been called yet
+     */
+    AuthContext.whenCreated = function(name, callback){
+        name = name || DEFAULT_CONTEXT;
+        if(contexts[name]){
+            callback(contexts[name]);
+            return function(){};
+        }
+
+        waiting[name] = (waiting[name] || []).concat([callback]);
+        return function(){
+            if(waiting[name]){
+                waiting[name] = waiting[name].filter(function(waiter){
+                    return waiter !== callback;
+                });
+            }
+        };
+    };
+
+    AuthContext.AuthError = AuthError;
+    AuthContext.MemoryStorage = MemoryStorage;
+    AuthContext.CookieStorage = CookieStorage;
+    AuthContext.IndexedDBStorage = IndexedDBStorage;
+    AuthContext.XhrTransport = XhrTransport;
+    AuthContext.FetchTransport = FetchTransport;
+
     /**
      * Enabling library to be utilized within a require statement by node.js
      * by establishing module loader tie in
@@ -0,0 +1,264 @@
+'use strict'
+/**
+ * @name Azure-auth-element.js
+ * @version 1.0.0
+ * @author Karl Moad <github.com/karlmoad>
+ *
+ *  Polymer element wrapping an AuthContext. The element builds its context from its attributes or properties,
+ *  completes any azure callback through authorize once attached and keeps the signed in state, user, token and
+ *  expiration bindable within templates. Requires Polymer and auth.js to be loaded ahead of it.
+ *
+ *  <azure-auth tenant="contoso.onmicrosoft.com" app-id="..." login-uri="/auth/login" renew-uri="/auth/renew"
+ *      signed-in="{{signedIn}}" user="{{user}}" token="{{token}}"></azure-auth>
+ *
+ *  @summary Polymer element binding the state of an AuthContext into templates
+ */
+
+/**
+ * The azure-auth element, lifecycle events of the context are fired as the DOM events login-started,
+ * token-acquired, token-renewed, token-expired, authorization-failed and logged-out, the event detail is the
+ * context event payload
+ * @class AzureAuthElement
+ */
+Polymer({
+    is: 'azure-auth',
+
+    properties: {
+        /**
+         * Name of the context within the AuthContext registry, the default context is used when not set.
+         * Elements naming the same context share it.
+         */
+        contextName: {
+            type: String,
+            value: null
+        },
+
+        /**
+         * Configuration the attribute settings are applied over, see configuration
+         */
+        config: {
+            type: Object,
+            value: function(){
+                return {};
+            }
+        },
+
+        /** azureTenant */
+        tenant: String,
+
+        /** azureTenantId */
+        tenantId: String,
+
+        /** azureAppID */
+        appId: String,
+
+        /** azureInstance */
+        instance: String,
+
+        /** azureLoginRedirectUri */
+        loginRedirectUri: String,
+
+        /** azureLogoutRedirectUri */
+        logoutRedirectUri: String,
+
+        /** authorizationServiceLoginUri */
+        loginUri: String,
+
+        /** authorizationServiceRenewUri */
+        renewUri: String,
+
+        /** authorizationContexts */
+        contexts: Array,
+
+        /** cacheLocation */
+        cacheLocation: String,
+
+        /** flow */
+        flow: String,
+
+        /** azureEndpointVersion */
+        endpointVersion: String,
+
+        /** scopes */
+        scopes: Array,
+
+        /** loginMode */
+        loginMode: String,
+
+        /** renewMode */
+        renewMode: String,
+
+        /** autoRenew */
+        autoRenew: Boolean,
+
+        /**
+         * The authentication context of the element
+         */
+        context: {
+            type: Object,
+            readOnly: true,
+            notify: true
+        },
+
+        /**
+         * Indicates a user is signed in with an unexpired authorization token
+         */
+        signedIn: {
+            type: Boolean,
+            value: false,
+            readOnly: true,
+            notify: true
+        },
+
+        /**
+         * User object returned by the authorization service, null when signed out
+         */
+        user: {
+            type: Object,
+            value: null,
+            readOnly: true,
+            notify: true
+        },
+
+        /**
+         * Authorization token, null when signed out
+         */
+        token: {
+            type: String,
+            value: null,
+            readOnly: true,
+            notify: true
+        },
+
+        /**
+         * Seconds remaining until the authorization token expires, 0 when signed out
+         */
+        expiresIn: {
+            type: Number,
+            value: 0,
+            readOnly: true,
+            notify: true
+        }
+    },
+
+    attached: function(){
+        var self = this;
+        var context = this.context;
+        if(!context){
+            context = this.contextName ? (AuthContext.get(this.contextName) || AuthContext.create(this.contextName, this._buildConfig()))
+                : new AuthContext(this._buildConfig());
+            this._setContext(context);
+        }
+
+        //context events are re-fired as dash cased DOM events
+        this._listeners = {};
+        Object.keys(context.EVENTS).forEach(function(key){
+            var event = context.EVENTS[key];
+            self._listeners[event] = function(payload){
+                self._refresh();
+                self.fire(event.replace(/[A-Z]/g, function(c){
+                    return '-' + c.toLowerCase();
+                }), payload);
+            };
+            context.on(event, self._listeners[event]);
+        });
+
+        this._timer = setInterval(this._refresh.bind(this), 1000);
+        var ready = context.ready();
+        if(ready){
+            ready.then(function(){
+                self._refresh();
+            });
+        }
+
+        //failures are reported through the authorization-failed event
+        var authorized = context.authorize();
+        if(authorized){
+            authorized.then(null, function(){});
+        }
+    },
+
+    detached: function(){
+        clearInterval(this._timer);
+        for(var event in this._listeners){
+            if(this._listeners.hasOwnProperty(event)){
+                this.context.off(event, this._listeners[event]);
+            }
+        }
+        this._listeners = {};
+    },
+
+    /**
+     * Signs the user in, see AuthContext.login
+     * @param {string|object} [options] - URL of starting page, or an options object
+     * @returns {Promise}
+     */
+    login: function(options){
+        return this.context.login(options);
+    },
+
+    /**
+     * Signs the user out, see AuthContext.logout
+     * @returns {Promise}
+     */
+    logout: function(){
+        return this.context.logout();
+    },
+
+    /**
+     * Updates the bindable properties from the context state
+     * @private
+     */
+    _refresh: function(){
+        var context = this.context;
+        var signedIn = !context.isTokenExpired();
+        var expiresIn = context.getTokenExpirationInSeconds();
+
+        this._setSignedIn(signedIn);
+        this._setExpiresIn(signedIn ? expiresIn : 0);
+        if(this.token !== context.getToken()){
+            this._setToken(context.getToken());
+            this._setUser(context.getUserInformation());
+        }
+    },
+
+    /**
+     * Builds the context configuration from the config property and the attribute settings
+     * @returns {configuration}
+     * @private
+     */
+    _buildConfig: function(){
+        var settings = {
+            azureTenant: this.tenant,
+            azureTenantId: this.tenantId,
+            azureAppID: this.appId,
+            azureInstance: this.instance,
+            azureLoginRedirectUri: this.loginRedirectUri,
+            azureLogoutRedirectUri: this.logoutRedirectUri,
+            authorizationServiceLoginUri: this.loginUri,
+            authorizationServiceRenewUri: this.renewUri,
+            authorizationContexts: this.contexts,
+            cacheLocation: this.cacheLocation,
+            flow: this.flow,
+            azureEndpointVersion: this.endpointVersion,
+            scopes: this.scopes,
+            loginMode: this.loginMode,
+            renewMode: this.renewMode,
+            autoRenew: this.autoRenew
+        };
+
+        var config = {};
+        var key;
+        for(key in this.config){
+            if(this.config.hasOwnProperty(key)){
+                config[key] = this.config[key];
+            }
+        }
+        for(key in settings){
+            if(settings.hasOwnProperty(key) && settings[key] !== undefined){
+                config[key] = settings[key];
+            }
+        }
+        return config;
+    }
+});
@@ -0,0 +1,333 @@
+'use strict'
+/**
+ * @name Guard.js
+ * @version 1.0.0
+ * @author Karl Moad <github.com/karlmoad>
+ *
+ *  Route guard for Single Page Applications authenticated through an AuthContext. Routes are matched against
+ *  configured rules requiring authentication, authorization contexts, permissions or roles. Navigation to a route
+ *  the user is not signed in for starts a login returning to the intended URL, navigation to a route the user
+ *  is not authorized for is redirected to a forbidden route. Works with Polymer app-location/iron-location and
+ *  with routers built on the History API.
+ *
+ *  @summary guard SPA routes with the authentication and authorization state of an AuthContext
+ */
+
+/**
+ * Route rule of the guard, the first rule matching a path applies, paths matching no rule are not guarded
+ *  @class routeRule
+ *  @property {string|RegExp} path - path pattern, ':name' matches a single path segment and '*' matches anything
+ *  e.g. '/admin/*' or '/orders/:id'
+ *  @property {boolean} [allowAnonymous] - the route does not require authentication. Defaults to false.
+ *  @property {String[]} [contexts] - authorization contexts that must all be granted
+ *  @property {object[]} [permissions] - permissions that must all be granted, each holding context and permission
+ *  @property {String[]} [roles] - roles of which the user must hold at least one
+ */
+
+/**
+ * Guard options
+ *  @class guardOptions
+ *  @property {routeRule[]} routes - guarded routes
+ *  @property {string} [forbiddenRoute] - path navigated to when the user is not authorized for a route. Defaults to '/forbidden'.
+ *  @property {function} [navigate] - (path) navigates the application to a path, defaults to pushing the path
+ *  onto the history and dispatching popstate, which both app-location and History API routers follow
+ */
+
+/**
+ * @class AuthGuard
+ */
+var AuthGuard = (function(){
+
+    /**
+     * Initializes a route guard over an authentication context
+     * @param {AuthContext} context - authentication context consulted for the user's state
+     * @param {guardOptions} options
+     * @constructor
+     */
+    AuthGuard = function(context, options){
+
+        /**
+         * Enum for route evaluation results
+         * @enum {string}
+         */
+        this.RESULT = {
+            ALLOWED: 'allowed',
+            LOGIN: 'login',
+            FORBIDDEN: 'forbidden'
+        };
+
+        if(!context){
+            throw new Error("An authentication context is required");
+        }
+
+        this.context = context;
+        this.options = options || {};
+
+        if(!Array.isArray(this.options.routes)){
+            throw new Error("Guarded routes must be defined");
+        }
+
+        if(!this.options.forbiddenRoute){
+            this.options.forbiddenRoute = '/forbidden';
+        }
+
+        this._redirecting = false;
+
+        if(typeof this.options.navigate !== 'function'){
+            this.options.navigate = this._navigate.bind(this);
+        }
+    };
+
+
+    // #PUBLIC SECTION
+    /**
+     * Evaluates the user's access to a URL against the route rules
+     * @param {string} url - absolute or relative URL, or path
+     * @returns {string} see RESULT
+     */
+    AuthGuard.prototype.evaluate = function(url){
+        //the forbidden route is never guarded, a user denied it would be sent back to it endlessly
+        var path = this._getPath(url);
+        if(path === this._getPath(this.options.forbiddenRoute)){
+            return this.RESULT.ALLOWED;
+        }
+
+        var rule = this._findRule(path);
+        if(!rule || rule.allowAnonymous){
+            return this.RESULT.ALLOWED;
+        }
+
+        if(this.context.isTokenExpired()){
+            return this.RESULT.LOGIN;
+        }
+
+        var context = this.context;
+        var contexts = Array.isArray(rule.contexts) ? rule.contexts : [];
+        var permissions = Array.isArray(rule.permissions) ? rule.permissions : [];
+        var authorized = contexts.every(function(name){
+            return context.hasContext(name);
+        }) && permissions.every(function(grant){
+            return context.hasPermission(grant.context, grant.permission);
+        }) && (!Array.isArray(rule.roles) || rule.roles.length == 0 || context.hasAnyRole(rule.roles));
+
+        return authorized ? this.RESULT.ALLOWED : this.RESULT.FORBIDDEN;
+    };
+
+    /**
+     * Checks the user's access to a URL ahead of navigation. An expired token is renewed before the user is sent
+     * to login, login returns the user to the URL. A user not authorized for the URL is sent to the forbidden route.
+     * @param {string} url - absolute or relative URL, or path
+     * @param {string} [startPage] - URL login returns to, defaults to the URL
+     * @returns {Promise} resolves to true if navigation to the URL may proceed
+     */
+    AuthGuard.prototype.check = function(url, startPage){
+        var self = this;
+        var result = this.evaluate(url);
+        startPage = startPage || url;
+
+        if(result === this.RESULT.LOGIN && this.context.getToken()){
+            return this.context.renew().then(function(){
+                return self._apply(url, self.evaluate(url), startPage);
+            }, function(){
+                return self._apply(url, self.evaluate(url), startPage);
+            });
+        }
+        return Promise.resolve(this._apply(url, result, startPage));
+    };
+
+    /**
+     * Guards the path of a Polymer app-location or iron-location element. The element has already navigated
+     * when its path changes, a denied path is left for login or the forbidden route. Login returns to the window
+     * location, the path alone misses the hash of an element using use-hash-as-path.
+     * @param {HTMLElement} element - app-location or iron-location element
+     * @returns {function} detaches the guard from the element
+     */
+    AuthGuard.prototype.attachAppRoute = function(element){
+        var self = this;
+        var handler = function(e){
+            self.check(e.detail.value, window.location.href);
+        };
+
+        element.addEventListener('path-changed', handler);
+        if(element.path){
+            this.check(element.path, window.location.href);
+        }
+
+        return function(){
+            element.removeEventListener('path-changed', handler);
+        };
+    };
+
+    /**
+     * Guards History API navigation by wrapping history.pushState and history.replaceState, navigation to a
+     * denied URL does not take place, and by checking the location after back and forward navigation
+     * @returns {function} detaches the guard, restoring the history methods
+     */
+    AuthGuard.prototype.attachHistory = function(){
+        var self = this;
+        var pushState = history.pushState;
+        var replaceState = history.replaceState;
+        var wrap = function(original){
+            return function(state, title, url){
+                var args = arguments;
+                if(self._redirecting || url === undefined || url === null || self.evaluate(url) === self.RESULT.ALLOWED){
+                    return original.apply(history, args);
+                }
+
+                //a renewed token or a popup login may still grant access, navigation proceeds once it does
+                self.check(url).then(function(allowed){
+                    if(allowed){
+                        original.apply(history, args);
+                    }
+                });
+            };
+        };
+        var popstate = function(){
+            if(!self._redirecting){
+                self.check(window.location.href);
+            }
+        };
+
+        history.pushState = wrap(pushState);
+        history.replaceState = wrap(replaceState);
+        window.addEventListener('popstate', popstate);
+
+        return function(){
+            history.pushState = pushState;
+            history.replaceState = replaceState;
+            window.removeEventListener('popstate', popstate);
+        };
+    };
+
+
+    // #PRIVATE SECTION
+    /**
+     * Acts on an evaluation result, starting login or navigating to the forbidden route
+     * @param {string} url - URL being navigated to
+     * @param {string} result - see RESULT
+     * @param {string} [startPage] - URL login returns to, defaults to the URL
+     * @returns {boolean|Promise} true if navigation may proceed, a popup login resolves once it completes
+     * @private
+     */
+    AuthGuard.prototype._apply = function(url, result, startPage){
+        var self = this;
+        if(result === this.RESULT.FORBIDDEN){
+            //the guard's own navigation is not checked again by the history wrappers
+            this._redirecting = true;
+            try{
+                this.options.navigate(this.options.forbiddenRoute);
+            }finally{
+                this._redirecting = false;
+            }
+            return false;
+        }
+
+        if(result === this.RESULT.LOGIN){
+            //redirect logins resolve without a token as the window leaves, popup logins resolve once signed in
+            return this.context.login(this._getUrl(startPage || url)).then(function(token){
+                return !!token && self._apply(url, self.evaluate(url), startPage);
+            }, function(){
+                return false;
+            });
+        }
+        return true;
+    };
+
+    /**
+     * Finds the first route rule matching a path
+     * @param {string} path
+     * @returns {routeRule} null if no rule matches
+     * @private
+     */
+    AuthGuard.prototype._findRule = function(path){
+        for(var i = 0; i < this.options.routes.length; i++){
+            if(this._matches(this.options.routes[i].path, path)){
+                return this.options.routes[i];
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Determines if a path matches a route pattern
+     * @param {string|RegExp} pattern
+     * @param {string} path
+     * @returns {boolean}
+     * @private
+     */
+    AuthGuard.prototype._matches = function(pattern, path){
+        if(pattern instanceof RegExp){
+            return pattern.test(path);
+        }
+
+        var expression = String(pattern).split('*').map(function(part){
+            return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/:[^/]+/g, '[^/]+');
+        }).join('.*');
+        return new RegExp('^' + expression + '$').test(path);
+    };
+
+    /**
+     * Resolves a URL against the current location
+     * @param {string} url
+     * @returns {HTMLAnchorElement} parsed URL
+     * @private
+     */
+    AuthGuard.prototype._parse = function(url){
+        var anchor = document.createElement('a');
+        anchor.href = url;
+        return anchor;
+    };
+
+    /**
+     * Resolves the path of a URL, routes are matched on the path only
+     * @param {string} url
+     * @returns {string}
+     * @private
+     */
+    AuthGuard.prototype._getPath = function(url){
+        var path = this._parse(url).pathname;
+        return path.charAt(0) === '/' ? path : '/' + path;
+    };
+
+    /**
+     * Resolves the absolute form of a URL, used as the page login returns to
+     * @param {string} url
+     * @returns {string}
+     * @private
+     */
+    AuthGuard.prototype._getUrl = function(url){
+        return this._parse(url).href;
+    };
+
+    /**
+     * Navigates to a path through the History API and notifies the router through popstate
+     * @param {string} path
+     * @private
+     */
+    AuthGuard.prototype._navigate = function(path){
+        history.pushState(history.state, '', path);
+
+        var event;
+        if(typeof PopStateEvent === 'function'){
+            event = new PopStateEvent('popstate', {state: history.state});
+        }else{
+            event = document.createEvent('Event');
+            event.initEvent('popstate', false, false);
+        }
+        window.dispatchEvent(event);
+    };
+
+
+    /**
+     * Enabling library to be utilized within a require statement by node.js
+     * by establishing module loader tie in
+     */
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AuthGuard;
+    }
+
+    /**
+     * return the guard class
+     */
+    return AuthGuard;
+}());